@@ -1,16 +1,25 @@
 const sqlite3 = require('sqlite3');
 const { open } = require('sqlite');
 const path = require('path');
+const Taxonomy = require('./utils/taxonomy');
 const bcrypt = require('bcrypt');
 
-async function setupDatabase() {
+// A connection to the database. Writes from another connection wait up to 5 seconds for the
+// database to be free rather than failing straight away.
+async function openDatabase() {
     const db = await open({
         filename: path.join(__dirname, 'website.db'),
         driver: sqlite3.Database
     });
+    db.configure('busyTimeout', 5000);
 
     // Enable foreign keys
     await db.exec('PRAGMA foreign_keys = ON;');
+    return db;
+}
+
+async function setupDatabase() {
+    const db = await openDatabase();
 
     // Create tables
     await db.exec(`
@@ -39,24 +48,84 @@ async function setupDatabase() {
             brand TEXT,
             image_url TEXT,
             stock INTEGER DEFAULT 0,
+            sku TEXT,
+            category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+            brand_id INTEGER REFERENCES brands(id) ON DELETE SET NULL,
+            low_stock_threshold INTEGER,
+            low_stock_alerted INTEGER DEFAULT 0,
+            weight_grams INTEGER,
+            sale_price DECIMAL(10,2),
+            sale_starts_at DATETIME,
+            sale_ends_at DATETIME,
+            is_gift_card BOOLEAN DEFAULT 0,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
         );
 
+        CREATE TABLE IF NOT EXISTS product_variants (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            size TEXT,
+            color TEXT,
+            sku TEXT UNIQUE NOT NULL,
+            price DECIMAL(10,2),
+            stock INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            UNIQUE(product_id, size, color)
+        );
+
+        CREATE TABLE IF NOT EXISTS product_images (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            image_url TEXT NOT NULL,
+            alt_text TEXT,
+            sort_order INTEGER DEFAULT 0,
+            is_primary BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+        );
+
         CREATE TABLE IF NOT EXISTS categories (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             name TEXT UNIQUE,
-            brand TEXT
+            brand TEXT,
+            slug TEXT,
+            parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+            description TEXT,
+            hsn_code TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS tax_slabs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            category_id INTEGER NOT NULL,
+            price_above DECIMAL(10,2) NOT NULL DEFAULT 0,
+            rate DECIMAL(5,2) NOT NULL,
+            FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+            UNIQUE(category_id, price_above)
+        );
+
+        CREATE TABLE IF NOT EXISTS brands (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            slug TEXT UNIQUE NOT NULL,
+            logo_url TEXT,
+            description TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
         );
 
         CREATE TABLE IF NOT EXISTS cart (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             user_id INTEGER,
             product_id INTEGER,
+            variant_id INTEGER,
             quantity INTEGER DEFAULT 1,
             added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
         );
 
         CREATE TABLE IF NOT EXISTS orders (
@@ -72,6 +141,20 @@ async function setupDatabase() {
             city TEXT,
             pincode TEXT,
             notes TEXT,
+            subtotal_amount DECIMAL(10,2),
+            tax_amount DECIMAL(10,2),
+            shipping_amount DECIMAL(10,2),
+            place_of_supply TEXT,
+            coupon_code TEXT,
+            discount_amount DECIMAL(10,2) DEFAULT 0,
+            shipping_zone TEXT,
+            estimated_delivery DATE,
+            cod_fee DECIMAL(10,2) DEFAULT 0,
+            wallet_amount DECIMAL(10,2) DEFAULT 0,
+            recipient_name TEXT,
+            address_line1 TEXT,
+            address_line2 TEXT,
+            state TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -81,10 +164,21 @@ async function setupDatabase() {
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             order_id INTEGER,
             product_id INTEGER,
+            variant_id INTEGER,
+            size TEXT,
+            color TEXT,
+            sku TEXT,
             quantity INTEGER,
             price DECIMAL(10,2),
+            hsn_code TEXT,
+            tax_rate DECIMAL(5,2),
+            taxable_amount DECIMAL(10,2),
+            cgst_amount DECIMAL(10,2),
+            sgst_amount DECIMAL(10,2),
+            igst_amount DECIMAL(10,2),
             FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
-            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL
         );
 
         CREATE TABLE IF NOT EXISTS payments (
@@ -97,6 +191,15 @@ async function setupDatabase() {
             status TEXT DEFAULT 'pending',
             upi_transaction_id TEXT,
             transaction_reference TEXT,
+            collected_amount DECIMAL(10,2),
+            collected_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            collected_at DATETIME,
+            gateway TEXT,
+            gateway_reference TEXT,
+            gateway_status TEXT,
+            proof_hash TEXT,
+            reminded_at DATETIME,
+            reused_utr TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -139,9 +242,15 @@ async function setupDatabase() {
             product_id INTEGER,
             rating INTEGER CHECK (rating >= 1 AND rating <= 5),
             comment TEXT,
+            status TEXT DEFAULT 'pending',
+            moderated_by INTEGER,
+            moderated_at DATETIME,
+            moderation_note TEXT,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL
         );
 
         CREATE TABLE IF NOT EXISTS coupons (
@@ -154,9 +263,230 @@ async function setupDatabase() {
             valid_from DATETIME DEFAULT CURRENT_TIMESTAMP,
             valid_until DATETIME,
             usage_limit INTEGER,
+            per_user_limit INTEGER,
             used_count INTEGER DEFAULT 0,
             created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         );
+
+        CREATE TABLE IF NOT EXISTS coupon_restrictions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            coupon_id INTEGER NOT NULL,
+            product_id INTEGER,
+            category_id INTEGER,
+            brand_id INTEGER,
+            FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+            FOREIGN KEY (brand_id) REFERENCES brands(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS coupon_redemptions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            coupon_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            order_id INTEGER NOT NULL UNIQUE,
+            code TEXT NOT NULL,
+            discount_amount DECIMAL(10,2) NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS notifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            title TEXT NOT NULL,
+            message TEXT,
+            link TEXT,
+            is_read BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS stock_reservations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            quantity INTEGER NOT NULL,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS stock_movements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            product_id INTEGER NOT NULL,
+            variant_id INTEGER,
+            delta INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            order_id INTEGER,
+            admin_id INTEGER,
+            balance INTEGER NOT NULL,
+            note TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+            FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL,
+            FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+            FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE SET NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS addresses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            label TEXT,
+            recipient_name TEXT NOT NULL,
+            line1 TEXT NOT NULL,
+            line2 TEXT,
+            city TEXT NOT NULL,
+            state TEXT NOT NULL,
+            pincode TEXT NOT NULL,
+            phone TEXT NOT NULL,
+            is_default BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS shipping_zones (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            base_rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+            base_weight_grams INTEGER NOT NULL DEFAULT 500,
+            extra_rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+            extra_weight_grams INTEGER NOT NULL DEFAULT 500,
+            free_shipping_from DECIMAL(10,2),
+            min_days INTEGER NOT NULL DEFAULT 3,
+            max_days INTEGER NOT NULL DEFAULT 7,
+            cod_available BOOLEAN DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS shipping_zone_ranges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            zone_id INTEGER NOT NULL,
+            pincode_from INTEGER NOT NULL,
+            pincode_to INTEGER NOT NULL,
+            FOREIGN KEY (zone_id) REFERENCES shipping_zones(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS non_serviceable_pincodes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pincode_from INTEGER NOT NULL,
+            pincode_to INTEGER NOT NULL,
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS gift_cards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            code TEXT UNIQUE NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            status TEXT DEFAULT 'active',
+            order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+            order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+            purchased_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            redeemed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            redeemed_at DATETIME,
+            expires_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS wallet_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            remaining DECIMAL(10,2),
+            expires_at DATETIME,
+            description TEXT,
+            order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+            gift_card_id INTEGER REFERENCES gift_cards(id) ON DELETE SET NULL,
+            admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS checkout_tokens (
+            token TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            order_number TEXT,
+            order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+            claimed_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS order_number_sequences (
+            year INTEGER PRIMARY KEY,
+            last_number INTEGER NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS payment_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            provider TEXT NOT NULL,
+            event_id TEXT NOT NULL,
+            payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+            status TEXT,
+            transaction_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS refunds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+            payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            reason TEXT NOT NULL,
+            method TEXT NOT NULL,
+            reference TEXT,
+            admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS refund_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            refund_id INTEGER NOT NULL REFERENCES refunds(id) ON DELETE CASCADE,
+            order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+            quantity INTEGER NOT NULL,
+            amount DECIMAL(10,2) NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS statement_imports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            file_name TEXT,
+            admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            entries INTEGER DEFAULT 0,
+            matched INTEGER DEFAULT 0,
+            exceptions INTEGER DEFAULT 0,
+            duplicates INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS statement_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            import_id INTEGER NOT NULL,
+            line INTEGER,
+            txn_date TEXT,
+            amount DECIMAL(10,2) NOT NULL,
+            utr TEXT,
+            reference TEXT,
+            narration TEXT,
+            fingerprint TEXT UNIQUE NOT NULL,
+            status TEXT NOT NULL,
+            reason TEXT,
+            suggested_order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+            order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+            payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+            resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            resolved_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (import_id) REFERENCES statement_imports(id) ON DELETE CASCADE
+        );
     `);
 
     // Check and add missing columns to users table
@@ -192,6 +522,207 @@ async function setupDatabase() {
         await db.exec("ALTER TABLE orders ADD COLUMN notes TEXT;");
         console.log('✅ Added notes column to orders');
     }
+    if (!orderColumns.includes('subtotal_amount')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN subtotal_amount DECIMAL(10,2);");
+        console.log('✅ Added subtotal_amount column to orders');
+    }
+    if (!orderColumns.includes('tax_amount')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN tax_amount DECIMAL(10,2);");
+        console.log('✅ Added tax_amount column to orders');
+    }
+    if (!orderColumns.includes('shipping_amount')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN shipping_amount DECIMAL(10,2);");
+        console.log('✅ Added shipping_amount column to orders');
+    }
+    if (!orderColumns.includes('place_of_supply')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN place_of_supply TEXT;");
+        console.log('✅ Added place_of_supply column to orders');
+    }
+    if (!orderColumns.includes('coupon_code')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN coupon_code TEXT;");
+        console.log('✅ Added coupon_code column to orders');
+    }
+    if (!orderColumns.includes('discount_amount')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN discount_amount DECIMAL(10,2) DEFAULT 0;");
+        console.log('✅ Added discount_amount column to orders');
+    }
+    if (!orderColumns.includes('shipping_zone')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN shipping_zone TEXT;");
+        console.log('✅ Added shipping_zone column to orders');
+    }
+    if (!orderColumns.includes('estimated_delivery')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN estimated_delivery DATE;");
+        console.log('✅ Added estimated_delivery column to orders');
+    }
+    if (!orderColumns.includes('cod_fee')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN cod_fee DECIMAL(10,2) DEFAULT 0;");
+        console.log('✅ Added cod_fee column to orders');
+    }
+    if (!orderColumns.includes('wallet_amount')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN wallet_amount DECIMAL(10,2) DEFAULT 0;");
+        console.log('✅ Added wallet_amount column to orders');
+    }
+    if (!orderColumns.includes('recipient_name')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN recipient_name TEXT;");
+        console.log('✅ Added recipient_name column to orders');
+    }
+    if (!orderColumns.includes('address_line1')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN address_line1 TEXT;");
+        console.log('✅ Added address_line1 column to orders');
+    }
+    if (!orderColumns.includes('address_line2')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN address_line2 TEXT;");
+        console.log('✅ Added address_line2 column to orders');
+    }
+    if (!orderColumns.includes('state')) {
+        await db.exec("ALTER TABLE orders ADD COLUMN state TEXT;");
+        console.log('✅ Added state column to orders');
+    }
+
+    // Check and add missing columns to products table
+    const productTableInfo = await db.all("PRAGMA table_info(products)");
+    const productColumns = productTableInfo.map(col => col.name);
+    
+    if (!productColumns.includes('sku')) {
+        await db.exec("ALTER TABLE products ADD COLUMN sku TEXT;");
+        console.log('✅ Added sku column to products');
+    }
+    if (!productColumns.includes('category_id')) {
+        await db.exec("ALTER TABLE products ADD COLUMN category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;");
+        console.log('✅ Added category_id column to products');
+    }
+    if (!productColumns.includes('brand_id')) {
+        await db.exec("ALTER TABLE products ADD COLUMN brand_id INTEGER REFERENCES brands(id) ON DELETE SET NULL;");
+        console.log('✅ Added brand_id column to products');
+    }
+    if (!productColumns.includes('low_stock_threshold')) {
+        await db.exec("ALTER TABLE products ADD COLUMN low_stock_threshold INTEGER;");
+        console.log('✅ Added low_stock_threshold column to products');
+    }
+    if (!productColumns.includes('low_stock_alerted')) {
+        await db.exec("ALTER TABLE products ADD COLUMN low_stock_alerted INTEGER DEFAULT 0;");
+        console.log('✅ Added low_stock_alerted column to products');
+    }
+    if (!productColumns.includes('weight_grams')) {
+        await db.exec("ALTER TABLE products ADD COLUMN weight_grams INTEGER;");
+        console.log('✅ Added weight_grams column to products');
+    }
+    if (!productColumns.includes('sale_price')) {
+        await db.exec("ALTER TABLE products ADD COLUMN sale_price DECIMAL(10,2);");
+        console.log('✅ Added sale_price column to products');
+    }
+    if (!productColumns.includes('sale_starts_at')) {
+        await db.exec("ALTER TABLE products ADD COLUMN sale_starts_at DATETIME;");
+        console.log('✅ Added sale_starts_at column to products');
+    }
+    if (!productColumns.includes('sale_ends_at')) {
+        await db.exec("ALTER TABLE products ADD COLUMN sale_ends_at DATETIME;");
+        console.log('✅ Added sale_ends_at column to products');
+    }
+    if (!productColumns.includes('is_gift_card')) {
+        await db.exec("ALTER TABLE products ADD COLUMN is_gift_card BOOLEAN DEFAULT 0;");
+        console.log('✅ Added is_gift_card column to products');
+    }
+
+    // Check and add missing columns to categories table
+    const categoryTableInfo = await db.all("PRAGMA table_info(categories)");
+    const categoryColumns = categoryTableInfo.map(col => col.name);
+    
+    if (!categoryColumns.includes('slug')) {
+        await db.exec("ALTER TABLE categories ADD COLUMN slug TEXT;");
+        console.log('✅ Added slug column to categories');
+    }
+    if (!categoryColumns.includes('parent_id')) {
+        await db.exec("ALTER TABLE categories ADD COLUMN parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;");
+        console.log('✅ Added parent_id column to categories');
+    }
+    if (!categoryColumns.includes('description')) {
+        await db.exec("ALTER TABLE categories ADD COLUMN description TEXT;");
+        console.log('✅ Added description column to categories');
+    }
+    if (!categoryColumns.includes('hsn_code')) {
+        await db.exec("ALTER TABLE categories ADD COLUMN hsn_code TEXT;");
+        console.log('✅ Added hsn_code column to categories');
+    }
+
+    // Check and add missing columns to cart table
+    const cartTableInfo = await db.all("PRAGMA table_info(cart)");
+    const cartColumns = cartTableInfo.map(col => col.name);
+    
+    if (!cartColumns.includes('variant_id')) {
+        await db.exec("ALTER TABLE cart ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;");
+        console.log('✅ Added variant_id column to cart');
+    }
+
+    // Check and add missing columns to order_items table
+    const orderItemTableInfo = await db.all("PRAGMA table_info(order_items)");
+    const orderItemColumns = orderItemTableInfo.map(col => col.name);
+    
+    if (!orderItemColumns.includes('variant_id')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;");
+        console.log('✅ Added variant_id column to order_items');
+    }
+    if (!orderItemColumns.includes('size')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN size TEXT;");
+        console.log('✅ Added size column to order_items');
+    }
+    if (!orderItemColumns.includes('color')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN color TEXT;");
+        console.log('✅ Added color column to order_items');
+    }
+    if (!orderItemColumns.includes('sku')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN sku TEXT;");
+        console.log('✅ Added sku column to order_items');
+    }
+    if (!orderItemColumns.includes('hsn_code')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN hsn_code TEXT;");
+        console.log('✅ Added hsn_code column to order_items');
+    }
+    if (!orderItemColumns.includes('tax_rate')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN tax_rate DECIMAL(5,2);");
+        console.log('✅ Added tax_rate column to order_items');
+    }
+    if (!orderItemColumns.includes('taxable_amount')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN taxable_amount DECIMAL(10,2);");
+        console.log('✅ Added taxable_amount column to order_items');
+    }
+    if (!orderItemColumns.includes('cgst_amount')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN cgst_amount DECIMAL(10,2);");
+        console.log('✅ Added cgst_amount column to order_items');
+    }
+    if (!orderItemColumns.includes('sgst_amount')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN sgst_amount DECIMAL(10,2);");
+        console.log('✅ Added sgst_amount column to order_items');
+    }
+    if (!orderItemColumns.includes('igst_amount')) {
+        await db.exec("ALTER TABLE order_items ADD COLUMN igst_amount DECIMAL(10,2);");
+        console.log('✅ Added igst_amount column to order_items');
+    }
+
+    // Check and add missing columns to reviews table
+    const reviewTableInfo = await db.all("PRAGMA table_info(reviews)");
+    const reviewColumns = reviewTableInfo.map(col => col.name);
+    
+    if (!reviewColumns.includes('status')) {
+        await db.exec("ALTER TABLE reviews ADD COLUMN status TEXT DEFAULT 'pending';");
+        console.log('✅ Added status column to reviews');
+    }
+    if (!reviewColumns.includes('moderated_by')) {
+        await db.exec("ALTER TABLE reviews ADD COLUMN moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL;");
+        console.log('✅ Added moderated_by column to reviews');
+    }
+    if (!reviewColumns.includes('moderated_at')) {
+        await db.exec("ALTER TABLE reviews ADD COLUMN moderated_at DATETIME;");
+        console.log('✅ Added moderated_at column to reviews');
+    }
+    if (!reviewColumns.includes('moderation_note')) {
+        await db.exec("ALTER TABLE reviews ADD COLUMN moderation_note TEXT;");
+        console.log('✅ Added moderation_note column to reviews');
+    }
+    if (!reviewColumns.includes('updated_at')) {
+        await db.exec("ALTER TABLE reviews ADD COLUMN updated_at DATETIME;");
+        console.log('✅ Added updated_at column to reviews');
+    }
 
     // Check and add missing columns to user_activity table
     const activityTableInfo = await db.all("PRAGMA table_info(user_activity)");
@@ -206,6 +737,97 @@ async function setupDatabase() {
         console.log('✅ Added details column to user_activity');
     }
 
+    // Check and add missing columns to payments table
+    const paymentTableInfo = await db.all("PRAGMA table_info(payments)");
+    const paymentColumns = paymentTableInfo.map(col => col.name);
+
+    if (!paymentColumns.includes('collected_amount')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN collected_amount DECIMAL(10,2);");
+        console.log('✅ Added collected_amount column to payments');
+    }
+    if (!paymentColumns.includes('collected_by')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN collected_by INTEGER REFERENCES users(id) ON DELETE SET NULL;");
+        console.log('✅ Added collected_by column to payments');
+    }
+    if (!paymentColumns.includes('collected_at')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN collected_at DATETIME;");
+        console.log('✅ Added collected_at column to payments');
+    }
+
+    if (!paymentColumns.includes('gateway')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN gateway TEXT;");
+        console.log('✅ Added gateway column to payments');
+    }
+
+    if (!paymentColumns.includes('gateway_reference')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN gateway_reference TEXT;");
+        console.log('✅ Added gateway_reference column to payments');
+    }
+
+    if (!paymentColumns.includes('gateway_status')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN gateway_status TEXT;");
+        console.log('✅ Added gateway_status column to payments');
+    }
+    if (!paymentColumns.includes('proof_hash')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN proof_hash TEXT;");
+        console.log('✅ Added proof_hash column to payments');
+    }
+    if (!paymentColumns.includes('reminded_at')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN reminded_at DATETIME;");
+        console.log('✅ Added reminded_at column to payments');
+    }
+    if (!paymentColumns.includes('reused_utr')) {
+        await db.exec("ALTER TABLE payments ADD COLUMN reused_utr TEXT;");
+        console.log('✅ Added reused_utr column to payments');
+    }
+
+    // Check and add missing columns to checkout_tokens table
+    const checkoutTokenTableInfo = await db.all("PRAGMA table_info(checkout_tokens)");
+    const checkoutTokenColumns = checkoutTokenTableInfo.map(col => col.name);
+
+    if (!checkoutTokenColumns.includes('order_number')) {
+        await db.exec("ALTER TABLE checkout_tokens ADD COLUMN order_number TEXT;");
+        console.log('✅ Added order_number column to checkout_tokens');
+    }
+
+    // Check and add missing columns to shipping_zones table
+    const zoneTableInfo = await db.all("PRAGMA table_info(shipping_zones)");
+    const zoneColumns = zoneTableInfo.map(col => col.name);
+
+    if (!zoneColumns.includes('cod_available')) {
+        await db.exec("ALTER TABLE shipping_zones ADD COLUMN cod_available BOOLEAN DEFAULT 1;");
+        console.log('✅ Added cod_available column to shipping_zones');
+    }
+
+    // Check and add missing columns to coupons table
+    const couponTableInfo = await db.all("PRAGMA table_info(coupons)");
+    const couponColumns = couponTableInfo.map(col => col.name);
+
+    if (!couponColumns.includes('per_user_limit')) {
+        await db.exec("ALTER TABLE coupons ADD COLUMN per_user_limit INTEGER;");
+        console.log('✅ Added per_user_limit column to coupons');
+    }
+
+    // Check and add missing columns to gift_cards table
+    const giftCardTableInfo = await db.all("PRAGMA table_info(gift_cards)");
+    const giftCardColumns = giftCardTableInfo.map(col => col.name);
+
+    if (!giftCardColumns.includes('order_item_id')) {
+        await db.exec("ALTER TABLE gift_cards ADD COLUMN order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL;");
+        // Cards already issued belong to their order's gift-card line, where it has only one
+        await db.exec(`
+            UPDATE gift_cards SET order_item_id = (
+                SELECT MIN(oi.id) FROM order_items oi JOIN products p ON oi.product_id = p.id
+                WHERE oi.order_id = gift_cards.order_id AND p.is_gift_card = 1
+            )
+            WHERE (
+                SELECT COUNT(*) FROM order_items oi JOIN products p ON oi.product_id = p.id
+                WHERE oi.order_id = gift_cards.order_id AND p.is_gift_card = 1
+            ) = 1;
+        `);
+        console.log('✅ Added order_item_id column to gift_cards');
+    }
+
     // Insert default categories
     const defaultCategories = [
         ['T-Shirts', 'Adidas'],
@@ -277,6 +899,100 @@ async function setupDatabase() {
     }
     console.log('✅ Products checked/added');
 
+    // Link products to managed categories and brands, creating any that only existed as free text
+    const unlinkedCategories = await db.all(`
+        SELECT DISTINCT category AS name FROM products
+        WHERE category_id IS NULL AND category IS NOT NULL AND category != ''
+        AND category NOT IN (SELECT name FROM categories)
+    `);
+    for (const { name } of unlinkedCategories) {
+        await db.run('INSERT INTO categories (name) VALUES (?)', [name]);
+    }
+    const unsluggedCategories = await db.all('SELECT id, name FROM categories WHERE slug IS NULL');
+    for (const category of unsluggedCategories) {
+        await db.run('UPDATE categories SET slug = ? WHERE id = ?', [await Taxonomy.uniqueSlug(db, 'categories', category.name, category.id), category.id]);
+    }
+
+    const unlinkedBrands = await db.all(`
+        SELECT DISTINCT brand AS name FROM products
+        WHERE brand_id IS NULL AND brand IS NOT NULL AND brand != ''
+        AND brand NOT IN (SELECT name FROM brands)
+    `);
+    for (const { name } of unlinkedBrands) {
+        await db.run('INSERT INTO brands (name, slug) VALUES (?, ?)', [name, await Taxonomy.uniqueSlug(db, 'brands', name)]);
+    }
+
+    await db.run('UPDATE products SET category_id = (SELECT id FROM categories WHERE name = products.category) WHERE category_id IS NULL');
+    await db.run('UPDATE products SET brand_id = (SELECT id FROM brands WHERE name = products.brand) WHERE brand_id IS NULL');
+    console.log('✅ Categories and brands linked');
+
+    // First run with GST rules: give the stock categories their HSN codes and the apparel slabs
+    // (5% up to ₹2500 a piece, 18% above). Admins manage them on the categories page afterwards.
+    const taxConfigured = await db.get('SELECT (SELECT COUNT(*) FROM tax_slabs) + (SELECT COUNT(*) FROM categories WHERE hsn_code IS NOT NULL) as count');
+    if (taxConfigured.count === 0) {
+        const defaultHsnCodes = {
+            'T-Shirts': '6109',
+            'Hoodies': '6110',
+            'Sports Wear': '6211',
+            'Esports': '6109',
+            'Sticker Printed': '6109'
+        };
+        for (const [name, hsnCode] of Object.entries(defaultHsnCodes)) {
+            const category = await db.get('SELECT id FROM categories WHERE name = ?', [name]);
+            if (!category) continue;
+
+            await db.run('UPDATE categories SET hsn_code = ? WHERE id = ?', [hsnCode, category.id]);
+            await db.run('INSERT INTO tax_slabs (category_id, price_above, rate) VALUES (?, 0, 5), (?, 2500, 18)', [category.id, category.id]);
+        }
+        console.log('✅ Default GST rules added');
+    }
+
+    // First run with shipping zones: metro cities, the home state, the rest of India and the
+    // remote regions, priced per 500 g. The narrowest matching range wins, so the metro and
+    // remote ranges override the all-India one. Cash on Delivery is offered everywhere but the
+    // remote regions. Admins manage them on the shipping page afterwards.
+    const zoneCount = await db.get('SELECT COUNT(*) as count FROM shipping_zones');
+    if (zoneCount.count === 0) {
+        const defaultZones = [
+            ['Local', 40, 20, 499, 1, 3, 1, [[560000, 591999]]],
+            ['Metro', 50, 30, 999, 2, 4, 1, [[110001, 110099], [400001, 400104], [600001, 600119], [700001, 700162], [500001, 500099], [411001, 411062]]],
+            ['Rest of India', 60, 40, 999, 4, 7, 1, [[100000, 899999]]],
+            ['North East, J&K and Islands', 90, 50, 1999, 6, 10, 0, [[780000, 799999], [180000, 194999], [744000, 744999]]]
+        ];
+        for (const [name, baseRate, extraRate, freeFrom, minDays, maxDays, codAvailable, ranges] of defaultZones) {
+            const zone = await db.run(`
+                INSERT INTO shipping_zones (name, base_rate, extra_rate, free_shipping_from, min_days, max_days, cod_available)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [name, baseRate, extraRate, freeFrom, minDays, maxDays, codAvailable]);
+            for (const [from, to] of ranges) {
+                await db.run('INSERT INTO shipping_zone_ranges (zone_id, pincode_from, pincode_to) VALUES (?, ?, ?)', [zone.lastID, from, to]);
+            }
+        }
+        await db.run(`INSERT INTO non_serviceable_pincodes (pincode_from, pincode_to, reason) VALUES (682551, 682559, 'No courier service to Lakshadweep')`);
+        console.log('✅ Default shipping zones added');
+    }
+
+    // Give products without a gallery their current image as the primary one
+    const seededImages = await db.run(`
+        INSERT INTO product_images (product_id, image_url, alt_text, sort_order, is_primary)
+        SELECT id, image_url, name, 0, 1 FROM products
+        WHERE image_url IS NOT NULL AND image_url != '/images/default-product.jpg'
+        AND id NOT IN (SELECT product_id FROM product_images)
+    `);
+    if (seededImages.changes > 0) {
+        console.log(`✅ Added ${seededImages.changes} product images to galleries`);
+    }
+
+    // Open the stock ledger of products that have no movements yet with their current stock
+    const openedLedgers = await db.run(`
+        INSERT INTO stock_movements (product_id, delta, reason, balance)
+        SELECT id, COALESCE(stock, 0), 'opening_balance', COALESCE(stock, 0) FROM products
+        WHERE id NOT IN (SELECT product_id FROM stock_movements)
+    `);
+    if (openedLedgers.changes > 0) {
+        console.log(`✅ Opened stock ledger for ${openedLedgers.changes} products`);
+    }
+
     // Insert sample coupons - FIXED: Using JavaScript Date objects instead of date()
     const now = new Date().toISOString();
     const thirtyDaysLater = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
@@ -284,16 +1000,16 @@ async function setupDatabase() {
     const sevenDaysLater = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
 
     const sampleCoupons = [
-        ['WELCOME10', 'percentage', 10, 0, 100, now, thirtyDaysLater, 100],
-        ['SAVE20', 'percentage', 20, 500, 200, now, thirtyDaysLater, 50],
-        ['FREESHIP', 'fixed', 50, 0, 50, now, thirtyDaysLater, 200],
-        ['SUMMER25', 'percentage', 25, 1000, 300, now, sixtyDaysLater, 100],
-        ['FLASH50', 'percentage', 50, 2000, 500, now, sevenDaysLater, 20]
+        ['WELCOME10', 'percentage', 10, 0, 100, now, thirtyDaysLater, 100, 1],
+        ['SAVE20', 'percentage', 20, 500, 200, now, thirtyDaysLater, 50, null],
+        ['FREESHIP', 'fixed', 50, 0, 50, now, thirtyDaysLater, 200, null],
+        ['SUMMER25', 'percentage', 25, 1000, 300, now, sixtyDaysLater, 100, null],
+        ['FLASH50', 'percentage', 50, 2000, 500, now, sevenDaysLater, 20, 1]
     ];
 
     for (const coupon of sampleCoupons) {
         await db.run(
-            'INSERT OR IGNORE INTO coupons (code, discount_type, discount_value, min_order_amount, max_discount, valid_from, valid_until, usage_limit) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+            'INSERT OR IGNORE INTO coupons (code, discount_type, discount_value, min_order_amount, max_discount, valid_from, valid_until, usage_limit, per_user_limit) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
             coupon
         );
     }
@@ -311,6 +1027,56 @@ async function setupDatabase() {
         console.log('✅ Default admin user created (username: admin, password: admin123)');
     }
 
+    // Full-text search index over products, kept in sync by triggers
+    const ftsExists = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'products_fts'");
+    await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+            name,
+            description,
+            brand,
+            category,
+            content='products',
+            content_rowid='id',
+            tokenize='porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS products_fts_insert AFTER INSERT ON products BEGIN
+            INSERT INTO products_fts (rowid, name, description, brand, category)
+            VALUES (new.id, new.name, new.description, new.brand, new.category);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS products_fts_delete AFTER DELETE ON products BEGIN
+            INSERT INTO products_fts (products_fts, rowid, name, description, brand, category)
+            VALUES ('delete', old.id, old.name, old.description, old.brand, old.category);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS products_fts_update AFTER UPDATE OF name, description, brand, category ON products BEGIN
+            INSERT INTO products_fts (products_fts, rowid, name, description, brand, category)
+            VALUES ('delete', old.id, old.name, old.description, old.brand, old.category);
+            INSERT INTO products_fts (rowid, name, description, brand, category)
+            VALUES (new.id, new.name, new.description, new.brand, new.category);
+        END;
+    `);
+    if (!ftsExists) {
+        await db.exec("INSERT INTO products_fts (products_fts) VALUES ('rebuild');");
+        console.log('✅ Built products search index');
+    }
+
+    // A UTR can only pay for one order. Before this was enforced the same UTR could be recorded on
+    // several payments; the earliest keeps it and the later ones move it to reused_utr, where the
+    // admin's payment checks and order list still show it as reused, so the unique index below
+    // can be built.
+    const reusedUtrs = await db.all(`
+        SELECT p.id, p.upi_transaction_id, o.order_number FROM payments p
+        LEFT JOIN orders o ON p.order_id = o.id
+        WHERE p.upi_transaction_id != ''
+          AND p.id > (SELECT MIN(other.id) FROM payments other WHERE other.upi_transaction_id = p.upi_transaction_id)
+    `);
+    for (const payment of reusedUtrs) {
+        await db.run('UPDATE payments SET reused_utr = upi_transaction_id, upi_transaction_id = NULL WHERE id = ?', [payment.id]);
+        console.log(`⚠️ UTR ${payment.upi_transaction_id} was also used for an earlier payment; flagged on order ${payment.order_number || `payment ${payment.id}`}`);
+    }
+
     // Create indexes for better performance
     await db.exec(`
         CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
@@ -318,19 +1084,53 @@ async function setupDatabase() {
         CREATE INDEX IF NOT EXISTS idx_users_discord_id ON users(discord_id);
         CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
         CREATE INDEX IF NOT EXISTS idx_products_brand ON products(brand);
+        CREATE INDEX IF NOT EXISTS idx_products_category_id ON products(category_id);
+        CREATE INDEX IF NOT EXISTS idx_products_brand_id ON products(brand_id);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_slug ON categories(slug);
+        CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+        CREATE INDEX IF NOT EXISTS idx_tax_slabs_category_id ON tax_slabs(category_id);
+        CREATE INDEX IF NOT EXISTS idx_shipping_zone_ranges_pincode ON shipping_zone_ranges(pincode_from, pincode_to);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products(sku);
+        CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+        CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images(product_id, sort_order);
+        CREATE INDEX IF NOT EXISTS idx_cart_user_id ON cart(user_id);
         CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+        CREATE INDEX IF NOT EXISTS idx_addresses_user_id ON addresses(user_id);
+        CREATE INDEX IF NOT EXISTS idx_wallet_transactions_user_id ON wallet_transactions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_wallet_transactions_order_id ON wallet_transactions(order_id);
+        CREATE INDEX IF NOT EXISTS idx_gift_cards_order_id ON gift_cards(order_id);
+        CREATE INDEX IF NOT EXISTS idx_gift_cards_order_item_id ON gift_cards(order_item_id);
+        CREATE INDEX IF NOT EXISTS idx_checkout_tokens_user_id ON checkout_tokens(user_id, created_at);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_checkout_tokens_order_number ON checkout_tokens(order_number);
+        CREATE INDEX IF NOT EXISTS idx_statement_entries_status ON statement_entries(status);
+        CREATE INDEX IF NOT EXISTS idx_payments_gateway_reference ON payments(gateway, gateway_reference);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_upi_transaction_id ON payments(upi_transaction_id) WHERE upi_transaction_id IS NOT NULL AND upi_transaction_id != '';
+        CREATE INDEX IF NOT EXISTS idx_payments_proof_hash ON payments(proof_hash);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_events_event ON payment_events(provider, event_id);
+        CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON refunds(order_id);
+        CREATE INDEX IF NOT EXISTS idx_refund_items_order_item_id ON refund_items(order_item_id);
+        CREATE INDEX IF NOT EXISTS idx_statement_entries_order_id ON statement_entries(order_id);
         CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
         CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
         CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
         CREATE INDEX IF NOT EXISTS idx_user_activity_user_id ON user_activity(user_id);
         CREATE INDEX IF NOT EXISTS idx_password_resets_token ON password_resets(token);
         CREATE INDEX IF NOT EXISTS idx_coupons_code ON coupons(code);
+        CREATE INDEX IF NOT EXISTS idx_coupon_restrictions_coupon_id ON coupon_restrictions(coupon_id);
+        CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id);
         CREATE INDEX IF NOT EXISTS idx_wishlist_user_id ON wishlist(user_id);
+        CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, is_read);
+        CREATE INDEX IF NOT EXISTS idx_stock_reservations_product_id ON stock_reservations(product_id, variant_id, expires_at);
+        CREATE INDEX IF NOT EXISTS idx_stock_reservations_user_id ON stock_reservations(user_id);
+        CREATE INDEX IF NOT EXISTS idx_stock_movements_product_id ON stock_movements(product_id, id);
+        CREATE INDEX IF NOT EXISTS idx_stock_movements_order_id ON stock_movements(order_id);
         CREATE INDEX IF NOT EXISTS idx_reviews_product_id ON reviews(product_id);
+        CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_user_product ON reviews(user_id, product_id);
     `);
 
     console.log('✅ Database setup complete');
     return db;
 }
 
-module.exports = { setupDatabase };
+module.exports = { setupDatabase, openDatabase };
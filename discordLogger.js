@@ -185,6 +185,25 @@ class DiscordLogger {
         }
     }
 
+    // DMs are not queued: if the bot is offline or the user does not accept DMs the message is dropped
+    async sendDirectMessage(discordId, message, embed = null) {
+        if (!this.ready || !discordId) {
+            return false;
+        }
+
+        try {
+            const user = await this.client.users.fetch(discordId);
+            await user.send({
+                content: message ? message.substring(0, 2000) : null,
+                embeds: embed ? [embed] : []
+            });
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to send Discord DM:`, error.message);
+            return false;
+        }
+    }
+
     createEmbed(title, description, color = 0x00ff00, fields = [], footer = null) {
         const embed = new EmbedBuilder()
             .setTitle(title.substring(0, 256))
@@ -393,7 +412,11 @@ class DiscordLogger {
             { name: '📍 Address', value: shippingDetails.fullAddress || order.shipping_address || 'N/A', inline: false },
             { name: '🛍️ Items', value: itemsList || 'No items', inline: false }
         ];
-        
+
+        if (order.coupon_code) {
+            fields.splice(2, 0, { name: '🏷️ Coupon', value: `${order.coupon_code} (-₹${order.discount_amount})`, inline: true });
+        }
+
         const embed = this.createEmbed(
             '📦 New Order',
             `Order #${order.order_number} placed`,
@@ -404,12 +427,19 @@ class DiscordLogger {
         await this.sendToChannel(this.channels.orderCreate, null, embed);
     }
 
+    // `updatedBy` is 'user' (the customer), 'admin' or 'system' (a scheduled job); `user` is who made the change
     async logOrderUpdate(user, order, oldStatus, newStatus, updatedBy = 'system') {
+        const updaters = {
+            user: `Customer (${user.username})`,
+            admin: `Admin (${user.username})`,
+            system: 'System (automatic)'
+        };
         const fields = [
             { name: '📋 Order', value: order.order_number, inline: true },
             { name: '💰 Amount', value: `₹${order.total_amount}`, inline: true },
             { name: '📊 Old Status', value: oldStatus, inline: true },
-            { name: '📊 New Status', value: newStatus, inline: true }
+            { name: '📊 New Status', value: newStatus, inline: true },
+            { name: '👤 Updated By', value: updaters[updatedBy] || updatedBy, inline: true }
         ];
         
         const embed = this.createEmbed(
@@ -506,6 +536,37 @@ class DiscordLogger {
         await this.sendToChannel(this.channels.paymentFailed, null, embed);
     }
 
+    async logPaymentRefund(admin, user, order, refund) {
+        const fields = [
+            { name: '📋 Order', value: order.order_number, inline: true },
+            { name: '💰 Amount', value: `₹${refund.amount}`, inline: true },
+            { name: '💳 Method', value: refund.method_label || refund.method, inline: true },
+            { name: '👤 Customer', value: user.username, inline: true },
+            { name: '🛠️ By', value: admin.username, inline: true },
+            { name: '📝 Reason', value: refund.reason, inline: false }
+        ];
+
+        if (refund.reference) {
+            fields.push({ name: '🆔 Reference', value: refund.reference, inline: false });
+        }
+        if (refund.items && refund.items.length > 0) {
+            fields.push({
+                name: '📦 Items',
+                value: refund.items.map(item => `${item.quantity}x ${item.name} - ₹${item.amount}`).join('\n').substring(0, 1024),
+                inline: false
+            });
+        }
+
+        const embed = this.createEmbed(
+            '↩️ Payment Refunded',
+            `Refund for order #${order.order_number}`,
+            0x3498db,
+            fields
+        );
+
+        await this.sendToChannel(this.channels.paymentRefund, null, embed);
+    }
+
     // ==================== CART LOGS ====================
 
     async logCartAdd(user, product, quantity) {
@@ -604,6 +665,60 @@ class DiscordLogger {
         await this.sendToChannel(this.channels.productDelete, null, embed);
     }
 
+    async logLowStock(product) {
+        const fields = [
+            { name: '📦 Product', value: product.name, inline: true },
+            { name: '🏷️ SKU', value: product.sku || 'N/A', inline: true },
+            { name: '📊 Stock', value: product.stock.toString(), inline: true },
+            { name: '⚠️ Threshold', value: product.low_stock_threshold.toString(), inline: true }
+        ];
+        
+        const embed = this.createEmbed(
+            '📉 Low Stock',
+            product.stock > 0
+                ? `**${product.name}** is running low`
+                : `**${product.name}** is out of stock`,
+            product.stock > 0 ? 0xffaa00 : 0xff0000,
+            fields
+        );
+        
+        await this.sendToChannel(this.channels.adminProduct, null, embed);
+    }
+
+    async notifyBackInStock(user, product, productUrl) {
+        const fields = [
+            { name: '📦 Product', value: product.name, inline: true },
+            { name: '💰 Price', value: `₹${product.price}`, inline: true },
+            { name: '🔗 Link', value: productUrl, inline: false }
+        ];
+        
+        const embed = this.createEmbed(
+            '🔔 Back in Stock',
+            `Hi **${user.username}**, **${product.name}** from your wishlist is available again.`,
+            0x00ff00,
+            fields
+        );
+        
+        return this.sendDirectMessage(user.discord_id, null, embed);
+    }
+
+    async notifyPaymentReminder(user, order, amountDue, expiresAt) {
+        const fields = [
+            { name: '📋 Order', value: order.order_number, inline: true },
+            { name: '💰 Amount Due', value: `₹${Number(amountDue).toFixed(2)}`, inline: true },
+            { name: '⏰ Pay By', value: expiresAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' }), inline: false }
+        ];
+        
+        const embed = this.createEmbed(
+            '⏰ Payment Reminder',
+            `Hi **${user.username}**, order **${order.order_number}** has not been paid yet. It will be cancelled and its items released if it is still unpaid by then.`,
+            0xffaa00,
+            fields
+        );
+        
+        return this.sendDirectMessage(user.discord_id, null, embed);
+    }
+
     // ==================== ADMIN LOGS ====================
 
     async logAdminLogin(admin) {
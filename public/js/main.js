@@ -112,7 +112,7 @@ function displaySearchResults(products) {
                     <img src="${product.image_url}" class="card-img-top" alt="${product.name}">
                     <div class="card-body">
                         <h5 class="card-title">${product.name}</h5>
-                        <p class="card-text">₹${product.price}</p>
+                        <p class="card-text">${product.on_sale ? `<del class="text-muted">₹${product.original_price}</del> ` : ''}₹${product.price}</p>
                         <a href="/product/${product.id}" class="btn btn-primary btn-sm">View</a>
                     </div>
                 </div>
@@ -128,18 +128,23 @@ function displaySearchResults(products) {
 function filterProducts() {
     const form = document.getElementById('filter-form');
     const formData = new FormData(form);
-    const params = new URLSearchParams(formData).toString();
+    const params = new URLSearchParams();
     
-    window.location.href = `/shop?${params}`;
+    // Leave out empty fields (e.g. an unused price bound) to keep URLs short
+    for (const [key, value] of formData.entries()) {
+        if (value !== '') params.append(key, value);
+    }
+    
+    window.location.href = `/shop?${params.toString()}`;
 }
 
-// Load more products (infinite scroll)
-let page = 1;
+// Load more products (infinite scroll), continuing from the current page with the active filters
+let page = parseInt(new URLSearchParams(window.location.search).get('page')) || 1;
 let loading = false;
 let hasMore = true;
 
 window.addEventListener('scroll', () => {
-    if (!hasMore || loading) return;
+    if (!hasMore || loading || !document.getElementById('product-grid')) return;
     
     const scrollPosition = window.innerHeight + window.scrollY;
     const documentHeight = document.documentElement.scrollHeight;
@@ -151,20 +156,28 @@ window.addEventListener('scroll', () => {
 
 function loadMoreProducts() {
     loading = true;
-    document.getElementById('loading-spinner').style.display = 'block';
+    const spinner = document.getElementById('loading-spinner');
+    if (spinner) spinner.style.display = 'block';
     
+    // The grid carries the active filters, including the brand or category of /brand and /category pages
+    const shopParams = new URLSearchParams(document.getElementById('product-grid').dataset.query || '');
     page++;
+    shopParams.set('page', page);
     
-    fetch(`/api/products?page=${page}`)
+    fetch(`/api/products?${shopParams.toString()}`)
         .then(res => res.json())
         .then(data => {
-            if (data.products.length === 0) {
-                hasMore = false;
-                document.getElementById('loading-spinner').style.display = 'none';
-                return;
+            if (spinner) spinner.style.display = 'none';
+            
+            if (data.products.length > 0) {
+                appendProducts(data.products);
+                
+                // Pages are now appended in place, so page links would be misleading
+                const pagination = document.querySelector('.pagination');
+                if (pagination) pagination.style.display = 'none';
             }
             
-            appendProducts(data.products);
+            hasMore = data.hasMore;
             loading = false;
         })
         .catch(err => {
@@ -179,24 +192,66 @@ function appendProducts(products) {
     if (!grid) return;
     
     products.forEach(product => {
+        const rating = Math.round(product.avg_rating || 0);
+        const ratingHtml = product.review_count > 0 ? `
+                        <div class="small mb-1">
+                            <span class="rating-stars">${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}</span>
+                            <span class="text-muted">(${product.review_count})</span>
+                        </div>` : '';
         const productHtml = `
-            <div class="col-lg-3 col-md-4 col-sm-6">
-                <div class="card product-card">
-                    <div class="card-image">
-                        <span class="card-badge">${product.brand}</span>
+            <div class="col-md-6 col-lg-4">
+                <div class="product-card">
+                    <div class="product-image">
+                        <span class="product-badge">${product.brand}</span>${product.on_sale ? `
+                        <span class="sale-badge">-${Math.round((1 - product.price / product.original_price) * 100)}%</span>` : ''}
                         <img src="${product.image_url}" alt="${product.name}">
                     </div>
-                    <div class="card-content">
-                        <div class="card-category">${product.category}</div>
-                        <h3 class="card-title">${product.name}</h3>
-                        <div class="card-price">₹${product.price}</div>
-                        <a href="/product/${product.id}" class="btn btn-primary w-100">View Details</a>
+                    <div class="product-info">
+                        <div class="product-category">${product.category}</div>
+                        <h3 class="product-title">${product.name}</h3>${ratingHtml}
+                        <div class="product-price">₹${product.price}${product.on_sale ? `<del class="original-price">₹${product.original_price}</del>` : ''}</div>${saleCountdownHtml(product)}
+                        <a href="/product/${product.id}" class="btn-view">View Details</a>
                     </div>
                 </div>
             </div>
         `;
         grid.insertAdjacentHTML('beforeend', productHtml);
     });
+    startSaleCountdowns();
+}
+
+function saleCountdownHtml(product) {
+    return product.on_sale ? `
+                        <div class="sale-countdown" data-ends="${product.sale_ends}"><i class="fas fa-clock me-1"></i>Ends in <span class="countdown"></span></div>` : '';
+}
+
+// Count down every sale shown on the page (elements with data-ends and a .countdown inside)
+let saleCountdownTimer = null;
+function startSaleCountdowns() {
+    const format = ms => {
+        const seconds = Math.floor(ms / 1000);
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor(seconds % 86400 / 3600);
+        const minutes = Math.floor(seconds % 3600 / 60);
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+    };
+    const tick = () => {
+        document.querySelectorAll('.sale-countdown[data-ends]').forEach(el => {
+            const left = new Date(el.dataset.ends).getTime() - Date.now();
+            if (left <= 0) {
+                el.removeAttribute('data-ends');
+                el.innerHTML = '<i class="fas fa-clock me-1"></i>Sale ended';
+                return;
+            }
+            el.querySelector('.countdown').textContent = format(left);
+        });
+    };
+    tick();
+    if (!saleCountdownTimer) {
+        saleCountdownTimer = setInterval(tick, 1000);
+    }
 }
 
 // Payment proof upload preview
@@ -267,6 +322,8 @@ document.addEventListener('DOMContentLoaded', function() {
     // Update cart count
     updateCartCount();
     
+    startSaleCountdowns();
+    
     // Setup search input
     const searchInput = document.getElementById('search-input');
     if (searchInput) {
@@ -9,8 +9,35 @@ const fs = require('fs');
 const QRCode = require('qrcode');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
-const { setupDatabase } = require('./database');
+const { setupDatabase, openDatabase } = require('./database');
 const discordLogger = require('./discordLogger');
+const Inventory = require('./utils/inventory');
+const ProductSearch = require('./utils/search');
+const ProductCatalog = require('./utils/catalog');
+const Reviews = require('./utils/reviews');
+const ProductImages = require('./utils/images');
+const ProductTransfer = require('./utils/productTransfer');
+const Taxonomy = require('./utils/taxonomy');
+const Notifications = require('./utils/notifications');
+const StockReservations = require('./utils/reservations');
+const GuestCart = require('./utils/guestCart');
+const Coupons = require('./utils/coupons');
+const Pricing = require('./utils/pricing');
+const Pincodes = require('./utils/pincodes');
+const GST = require('./utils/gst');
+const Shipping = require('./utils/shipping');
+const Addresses = require('./utils/addresses');
+const CashOnDelivery = require('./utils/cod');
+const Sales = require('./utils/sales');
+const Wallet = require('./utils/wallet');
+const GiftCards = require('./utils/giftCards');
+const CheckoutTokens = require('./utils/checkoutTokens');
+const Reconciliation = require('./utils/reconciliation');
+const PaymentGateways = require('./utils/paymentGateways');
+const MockGateway = require('./utils/mockGateway');
+const Refunds = require('./utils/refunds');
+const PaymentProofs = require('./utils/paymentProofs');
+const OrderExpiry = require('./utils/orderExpiry');
 require('dotenv').config();
 
 const app = express();
@@ -38,7 +65,8 @@ app.use((req, res, next) => {
 });
 
 // Middleware
-app.use(express.json());
+// Payment webhooks are signed over the exact bytes sent, so keep them alongside the parsed body
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
@@ -68,11 +96,16 @@ app.use(passport.session());
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Database connection
+// Database connection. Scheduled jobs write through a connection of their own: transactions on
+// one connection are shared by everything using it, so a job's could otherwise be committed or
+// rolled back by a request running alongside it.
 let db;
-setupDatabase().then(database => {
+let jobDb;
+setupDatabase().then(async database => {
     db = database;
+    jobDb = await openDatabase();
     console.log('✅ Database connected');
+    runOrderExpiry();
 }).catch(err => {
     console.error('❌ Database connection error:', err);
 });
@@ -81,7 +114,8 @@ setupDatabase().then(database => {
 
 // Local Strategy for username/password
 passport.use('local', new LocalStrategy(
-    async (username, password, done) => {
+    { passReqToCallback: true },
+    async (req, username, password, done) => {
         try {
             console.log('📝 Local login attempt for:', username);
             
@@ -159,8 +193,9 @@ passport.use(new DiscordStrategy({
     clientID: process.env.DISCORD_CLIENT_ID,
     clientSecret: process.env.DISCORD_CLIENT_SECRET,
     callbackURL: process.env.DISCORD_CALLBACK_URL,
-    scope: ['identify', 'email']
-}, async (accessToken, refreshToken, profile, done) => {
+    scope: ['identify', 'email'],
+    passReqToCallback: true
+}, async (req, accessToken, refreshToken, profile, done) => {
     try {
         console.log('📝 Discord login attempt for:', profile.username);
         
@@ -258,6 +293,36 @@ function ensureGuest(req, res, next) {
     next();
 }
 
+// ==================== STOCK ALERTS ====================
+
+// Run after a stock change is committed; alert failures never fail the request
+async function checkStockAlerts(productIds) {
+    try {
+        const lowStock = await Inventory.checkLowStock(db, productIds);
+        for (const product of lowStock) {
+            await discordLogger.logLowStock(product);
+        }
+    } catch (error) {
+        console.error('Low stock alert error:', error);
+    }
+}
+
+// Notify wishlisting users when an admin change brings a sold-out product back
+async function notifyIfRestocked(req, productId, previousStock) {
+    try {
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [productId]);
+        if (!product || previousStock > 0 || product.stock <= 0) return;
+
+        const users = await Notifications.notifyBackInStock(db, product);
+        const productUrl = `${req.protocol}://${req.get('host')}/product/${product.id}`;
+        for (const user of users.filter(u => u.discord_id)) {
+            await discordLogger.notifyBackInStock(user, product, productUrl);
+        }
+    } catch (error) {
+        console.error('Back in stock notification error:', error);
+    }
+}
+
 // ==================== AUTH ROUTES ====================
 
 // Login page
@@ -373,6 +438,28 @@ app.post('/register', ensureGuest, async (req, res) => {
     }
 });
 
+// Move a guest cart into the account that just logged in. Returns true when quantities had to be
+// cut to the stock available; the cart page then explains what changed.
+async function mergeGuestCart(req, user) {
+    try {
+        const adjustments = await GuestCart.mergeInto(db, req.session, user.id);
+        if (adjustments.length === 0) {
+            return false;
+        }
+
+        const lines = adjustments.map(item => {
+            const label = Inventory.variantLabel(item);
+            const name = label ? `${item.name} (${label})` : item.name;
+            return item.quantity > 0 ? `${name}: ${item.quantity} of ${item.requested}` : `${name}: sold out`;
+        });
+        req.session.cartNotice = `Some items from your guest cart were limited to the stock available. ${lines.join(', ')}.`;
+        return true;
+    } catch (error) {
+        console.error('Guest cart merge error:', error);
+        return false;
+    }
+}
+
 // Login handler
 app.post('/login', ensureGuest, (req, res, next) => {
     passport.authenticate('local', (err, user, info) => {
@@ -386,7 +473,8 @@ app.post('/login', ensureGuest, (req, res, next) => {
                 success: null 
             });
         }
-        req.logIn(user, (err) => {
+        // keepSessionInfo carries the guest cart and returnTo over into the new login session
+        req.logIn(user, { keepSessionInfo: true }, async (err) => {
             if (err) {
                 return next(err);
             }
@@ -397,7 +485,8 @@ app.post('/login', ensureGuest, (req, res, next) => {
                 [user.id, 'login_success', req.ip, req.headers['user-agent']]
             );
             
-            const returnTo = req.session.returnTo || '/';
+            const adjusted = await mergeGuestCart(req, user);
+            const returnTo = adjusted ? '/cart' : req.session.returnTo || '/';
             delete req.session.returnTo;
             return res.redirect(returnTo);
         });
@@ -411,10 +500,12 @@ app.get('/auth/discord', passport.authenticate('discord'));
 app.get('/auth/discord/callback', 
     passport.authenticate('discord', { 
         failureRedirect: '/login',
-        failureMessage: true 
+        failureMessage: true,
+        keepSessionInfo: true
     }),
-    (req, res) => {
-        const returnTo = req.session.returnTo || '/';
+    async (req, res) => {
+        const adjusted = await mergeGuestCart(req, req.user);
+        const returnTo = adjusted ? '/cart' : req.session.returnTo || '/';
         delete req.session.returnTo;
         res.redirect(returnTo);
     }
@@ -593,18 +684,13 @@ app.get('/', async (req, res) => {
             return res.render('index', { 
                 user: req.user || null, 
                 featuredProducts: [],
-                brands: ['Adidas', 'Puma', 'Under Armour', 'New Balance']
+                brands: []
             });
         }
         
-        const featuredProducts = await db.all('SELECT * FROM products ORDER BY RANDOM() LIMIT 8');
-        
-        const brandRows = await db.all('SELECT DISTINCT brand FROM products WHERE brand IS NOT NULL AND brand != ""');
-        let brands = brandRows.map(row => row.brand);
+        const featuredProducts = Sales.apply(await db.all('SELECT * FROM products ORDER BY RANDOM() LIMIT 8'));
         
-        if (!brands || brands.length === 0) {
-            brands = ['Adidas', 'Puma', 'Under Armour', 'New Balance'];
-        }
+        const brands = await db.all('SELECT name, slug FROM brands WHERE id IN (SELECT brand_id FROM products) ORDER BY name COLLATE NOCASE');
         
         res.render('index', { 
             user: req.user || null, 
@@ -616,64 +702,107 @@ app.get('/', async (req, res) => {
         res.render('index', { 
             user: req.user || null, 
             featuredProducts: [],
-            brands: ['Adidas', 'Puma', 'Under Armour', 'New Balance']
+            brands: []
         });
     }
 });
 
+// Render the shop listing; brand and category pages pass a landing header
+async function renderShop(req, res, filters, landing = null) {
+    const page = parseInt(req.query.page) || 1;
+    const limit = 12;
+    const offset = (page - 1) * limit;
+
+    const { products, total, corrected } = await ProductCatalog.list(db, filters, { limit, offset });
+    const totalPages = Math.ceil(total / limit);
+    const facets = await ProductCatalog.facets(db, filters);
+
+    res.render('shop', { 
+        user: req.user || null, 
+        products: products || [], 
+        totalProducts: total,
+        facets,
+        filters,
+        filterQuery: ProductCatalog.toQueryString(filters),
+        correctedSearch: corrected,
+        currentPage: page,
+        totalPages: totalPages || 1,
+        landing
+    });
+}
+
 // Shop page
 app.get('/shop', async (req, res) => {
     try {
-        const { category, brand, search } = req.query;
-        const page = parseInt(req.query.page) || 1;
-        const limit = 12;
-        const offset = (page - 1) * limit;
-        
-        let query = 'SELECT * FROM products WHERE 1=1';
-        let countQuery = 'SELECT COUNT(*) as count FROM products WHERE 1=1';
-        const params = [];
-        const countParams = [];
+        await renderShop(req, res, ProductCatalog.parseFilters(req.query));
+    } catch (error) {
+        console.error('Shop page error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
 
-        if (category) {
-            query += ' AND category = ?';
-            countQuery += ' AND category = ?';
-            params.push(category);
-            countParams.push(category);
-        }
-        if (brand) {
-            query += ' AND brand = ?';
-            countQuery += ' AND brand = ?';
-            params.push(brand);
-            countParams.push(brand);
+// Brand page
+app.get('/brand/:slug', async (req, res) => {
+    try {
+        const brand = await db.get('SELECT * FROM brands WHERE slug = ?', [req.params.slug]);
+        if (!brand) {
+            return res.status(404).render('error', { 
+                message: 'Brand not found',
+                user: req.user || null 
+            });
         }
-        if (search) {
-            query += ' AND (name LIKE ? OR description LIKE ?)';
-            countQuery += ' AND (name LIKE ? OR description LIKE ?)';
-            params.push(`%${search}%`, `%${search}%`);
-            countParams.push(`%${search}%`, `%${search}%`);
+
+        const filters = ProductCatalog.parseFilters(req.query);
+        filters.brands = [brand.slug];
+
+        await renderShop(req, res, filters, {
+            title: brand.name,
+            description: brand.description,
+            logoUrl: brand.logo_url,
+            breadcrumbs: [],
+            subcategories: []
+        });
+    } catch (error) {
+        console.error('Brand page error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Category page (includes products of nested categories)
+app.get('/category/:slug', async (req, res) => {
+    try {
+        const category = await db.get('SELECT * FROM categories WHERE slug = ?', [req.params.slug]);
+        if (!category) {
+            return res.status(404).render('error', { 
+                message: 'Category not found',
+                user: req.user || null 
+            });
         }
 
-        query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-        params.push(limit, offset);
+        const filters = ProductCatalog.parseFilters(req.query);
+        filters.categories = [category.slug];
 
-        const products = await db.all(query, params);
-        const totalCount = await db.get(countQuery, countParams);
-        const totalPages = Math.ceil((totalCount?.count || 0) / limit);
-        
-        const categories = await db.all('SELECT DISTINCT category FROM products WHERE category IS NOT NULL AND category != ""');
-        const brands = await db.all('SELECT DISTINCT brand FROM products WHERE brand IS NOT NULL AND brand != ""');
+        const breadcrumbs = await Taxonomy.getBreadcrumbs(db, category);
+        const subcategories = await db.all(
+            'SELECT name, slug FROM categories WHERE parent_id = ? ORDER BY name COLLATE NOCASE',
+            [category.id]
+        );
 
-        res.render('shop', { 
-            user: req.user || null, 
-            products: products || [], 
-            categories: categories || [], 
-            brands: brands || [],
-            filters: { category, brand, search },
-            currentPage: page,
-            totalPages: totalPages || 1
+        await renderShop(req, res, filters, {
+            title: category.name,
+            description: category.description,
+            logoUrl: null,
+            breadcrumbs: breadcrumbs.slice(0, -1),
+            subcategories
         });
     } catch (error) {
-        console.error('Shop page error:', error);
+        console.error('Category page error:', error);
         res.status(500).render('error', { 
             message: 'Server error',
             user: req.user || null 
@@ -684,7 +813,13 @@ app.get('/shop', async (req, res) => {
 // Product details
 app.get('/product/:id', async (req, res) => {
     try {
-        const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+        const product = await db.get(`
+            SELECT p.*, c.slug as category_slug, b.slug as brand_slug
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            LEFT JOIN brands b ON p.brand_id = b.id
+            WHERE p.id = ?
+        `, [req.params.id]);
         if (!product) {
             return res.status(404).render('error', { 
                 message: 'Product not found',
@@ -696,15 +831,43 @@ app.get('/product/:id', async (req, res) => {
             await discordLogger.logProductView(req.user, product);
         }
 
-        const relatedProducts = await db.all(
-            'SELECT * FROM products WHERE category = ? AND id != ? LIMIT 4',
-            [product.category, product.id]
-        );
+        Sales.apply(product);
+        const relatedProducts = Sales.apply(await db.all(
+            'SELECT * FROM products WHERE category_id = ? AND id != ? LIMIT 4',
+            [product.category_id, product.id]
+        ));
+
+        const variants = Sales.applyToVariants(product, await Inventory.getVariants(db, product.id));
+        const images = await ProductImages.list(db, product.id);
+
+        // Reviews
+        const reviewPage = parseInt(req.query.reviewPage) || 1;
+        const reviewLimit = 5;
+        const reviewSummary = await Reviews.getSummary(db, product.id);
+        const reviews = await Reviews.list(db, product.id, {
+            limit: reviewLimit,
+            offset: (reviewPage - 1) * reviewLimit
+        });
+
+        let userReview = null;
+        let canReview = false;
+        if (req.user) {
+            userReview = await db.get('SELECT * FROM reviews WHERE user_id = ? AND product_id = ?', [req.user.id, product.id]);
+            canReview = !userReview && await Reviews.hasPurchased(db, req.user.id, product.id);
+        }
 
         res.render('product', { 
             user: req.user || null, 
             product, 
-            relatedProducts: relatedProducts || [] 
+            variants: variants || [],
+            images: images || [],
+            relatedProducts: relatedProducts || [],
+            reviewSummary,
+            reviews: reviews || [],
+            reviewPage,
+            reviewTotalPages: Math.ceil(reviewSummary.total / reviewLimit) || 1,
+            userReview,
+            canReview
         });
     } catch (error) {
         console.error('Product page error:', error);
@@ -715,6 +878,93 @@ app.get('/product/:id', async (req, res) => {
     }
 });
 
+// ==================== REVIEW ROUTES ====================
+
+// Create review
+app.post('/product/:id/reviews', ensureAuthenticated, async (req, res) => {
+    try {
+        const { rating, comment } = req.body;
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const validationError = Reviews.validate({ rating, comment });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (!await Reviews.hasPurchased(db, req.user.id, product.id)) {
+            return res.status(403).json({ error: 'Only customers who bought this product can review it' });
+        }
+
+        const existing = await db.get('SELECT id FROM reviews WHERE user_id = ? AND product_id = ?', [req.user.id, product.id]);
+        if (existing) {
+            return res.status(400).json({ error: 'You have already reviewed this product' });
+        }
+
+        await db.run(
+            'INSERT INTO reviews (user_id, product_id, rating, comment, status, updated_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)',
+            [req.user.id, product.id, parseInt(rating), comment ? comment.trim() : null, 'pending']
+        );
+
+        await db.run(
+            'INSERT INTO user_activity (user_id, action, ip_address, user_agent, details) VALUES (?, ?, ?, ?, ?)',
+            [req.user.id, 'review_create', req.ip, req.headers['user-agent'], `Product: ${product.name}`]
+        );
+
+        res.json({ success: true, message: 'Thanks for your review!' });
+    } catch (error) {
+        console.error('Create review error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit review
+app.post('/reviews/:id/edit', ensureAuthenticated, async (req, res) => {
+    try {
+        const { rating, comment } = req.body;
+        const review = await db.get('SELECT * FROM reviews WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        if (review.status === 'hidden') {
+            return res.status(403).json({ error: 'This review was hidden by a moderator and cannot be edited' });
+        }
+
+        const validationError = Reviews.validate({ rating, comment });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Edited reviews go back into the moderation queue
+        await db.run(
+            'UPDATE reviews SET rating = ?, comment = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [parseInt(rating), comment ? comment.trim() : null, 'pending', review.id]
+        );
+
+        res.json({ success: true, message: 'Review updated' });
+    } catch (error) {
+        console.error('Edit review error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete review
+app.post('/reviews/:id/delete', ensureAuthenticated, async (req, res) => {
+    try {
+        const result = await db.run('DELETE FROM reviews WHERE id = ? AND user_id = ?', [req.params.id, req.user.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete review error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Terms page
 app.get('/terms', (req, res) => {
     res.render('terms', { user: req.user || null });
@@ -722,36 +972,64 @@ app.get('/terms', (req, res) => {
 
 // ==================== CART ROUTES ====================
 
-// View cart
-app.get('/cart', ensureAuthenticated, async (req, res) => {
-    try {
-        const cartItems = await db.all(`
-            SELECT c.*, p.name, p.price, p.image_url, p.stock 
-            FROM cart c 
-            JOIN products p ON c.product_id = p.id 
-            WHERE c.user_id = ?
-        `, [req.user.id]);
+// Cart routes also serve visitors who are not logged in, from a cart kept in their session
 
-        let subtotal = 0;
-        cartItems.forEach(item => {
-            subtotal += item.price * item.quantity;
-        });
+// Re-check the coupon remembered in the session against the cart as it is now.
+// Returns null when no coupon is applied, otherwise the result of Coupons.evaluate.
+async function sessionCoupon(req, cartItems) {
+    if (!req.user || !req.session.couponCode) {
+        return null;
+    }
+    return Coupons.evaluate(db, req.session.couponCode, req.user.id, cartItems);
+}
 
-        const tax = subtotal * 0.18;
-        const discount = req.session.discount || 0;
-        const shipping = subtotal >= 999 ? 0 : 50;
-        const total = subtotal + tax + shipping - discount;
+function couponNotice(code, error) {
+    return `Coupon ${code} was removed from your cart: ${error}.`;
+}
+
+// View cart
+app.get('/cart', async (req, res) => {
+    try {
+        const cartItems = req.user
+            ? await db.all(`
+                SELECT c.*, p.name, ${Sales.priceSql('p', 'v')} as price, COALESCE(v.price, p.price) as original_price, p.image_url, 
+                       COALESCE(v.stock, p.stock) as stock, v.size, v.color, v.sku 
+                FROM cart c 
+                JOIN products p ON c.product_id = p.id 
+                LEFT JOIN product_variants v ON c.variant_id = v.id 
+                WHERE c.user_id = ?
+            `, [req.user.id])
+            : await GuestCart.load(db, req.session);
+
+        // One-off message left by checkout when the cart could not be bought as it is
+        let notice = req.session.cartNotice || null;
+        delete req.session.cartNotice;
+
+        // A coupon that no longer fits the cart (items removed, expired, used up) is dropped
+        const couponResult = await sessionCoupon(req, cartItems);
+        if (couponResult && couponResult.error) {
+            notice = notice || couponNotice(req.session.couponCode, couponResult.error);
+            delete req.session.couponCode;
+        }
+        const quote = await Pricing.quote(db, cartItems, { coupon: couponResult && !couponResult.error ? couponResult : null });
+        const amounts = Pricing.summary(quote);
 
-        await discordLogger.logCartView(req.user);
+        if (req.user) {
+            await discordLogger.logCartView(req.user);
+        }
 
         res.render('cart', { 
-            user: req.user, 
+            user: req.user || null, 
             cartItems: cartItems || [], 
-            subtotal: subtotal || 0,
-            tax: tax || 0,
-            shipping: shipping,
-            discount: discount || 0,
-            total: total || 0
+            subtotal: amounts.subtotal,
+            tax: amounts.tax,
+            homeState: GST.homeState,
+            shipping: amounts.shipping,
+            discount: amounts.discount,
+            couponCode: quote.couponCode,
+            delivery: quote.delivery,
+            total: amounts.total,
+            notice
         });
     } catch (error) {
         console.error('Cart page error:', error);
@@ -763,28 +1041,53 @@ app.get('/cart', ensureAuthenticated, async (req, res) => {
 });
 
 // Add to cart
-app.post('/cart/add/:productId', ensureAuthenticated, async (req, res) => {
+app.post('/cart/add/:productId', async (req, res) => {
     try {
         const productId = req.params.productId;
         const quantity = parseInt(req.body.quantity) || 1;
+        const variantId = parseInt(req.body.variantId) || null;
+        if (quantity < 1) {
+            return res.status(400).json({ error: 'Quantity must be at least 1' });
+        }
 
         const product = await db.get('SELECT * FROM products WHERE id = ?', [productId]);
         if (!product) {
             return res.status(404).json({ error: 'Product not found' });
         }
 
-        if (product.stock < quantity) {
+        // Products sold in sizes/colours must be added as a specific variant
+        const variants = await Inventory.getVariants(db, productId);
+        let variant = null;
+        if (variants.length > 0) {
+            variant = variants.find(v => v.id === variantId);
+            if (!variant) {
+                return res.status(400).json({ error: 'Please select a size and colour' });
+            }
+        }
+
+        const availableStock = variant ? variant.stock : product.stock;
+        if (availableStock < quantity) {
             return res.status(400).json({ error: 'Insufficient stock' });
         }
 
+        if (!req.user) {
+            const existingLine = GuestCart.find(req.session, product.id, variant ? variant.id : null);
+            if (existingLine && existingLine.quantity + quantity > availableStock) {
+                return res.status(400).json({ error: 'Cannot add more than available stock' });
+            }
+
+            GuestCart.add(req.session, product.id, variant ? variant.id : null, quantity);
+            return res.json({ success: true, message: 'Item added to cart' });
+        }
+
         const existingItem = await db.get(
-            'SELECT * FROM cart WHERE user_id = ? AND product_id = ?',
-            [req.user.id, productId]
+            'SELECT * FROM cart WHERE user_id = ? AND product_id = ? AND variant_id IS ?',
+            [req.user.id, productId, variant ? variant.id : null]
         );
 
         if (existingItem) {
             const newQuantity = existingItem.quantity + quantity;
-            if (newQuantity > product.stock) {
+            if (newQuantity > availableStock) {
                 return res.status(400).json({ error: 'Cannot add more than available stock' });
             }
             
@@ -794,12 +1097,15 @@ app.post('/cart/add/:productId', ensureAuthenticated, async (req, res) => {
             );
         } else {
             await db.run(
-                'INSERT INTO cart (user_id, product_id, quantity) VALUES (?, ?, ?)',
-                [req.user.id, productId, quantity]
+                'INSERT INTO cart (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)',
+                [req.user.id, productId, variant ? variant.id : null, quantity]
             );
         }
 
-        await discordLogger.logCartAdd(req.user, product, quantity);
+        const loggedProduct = variant
+            ? { ...product, name: `${product.name} (${Inventory.variantLabel(variant)})` }
+            : product;
+        await discordLogger.logCartAdd(req.user, loggedProduct, quantity);
 
         res.json({ success: true, message: 'Item added to cart' });
     } catch (error) {
@@ -809,8 +1115,12 @@ app.post('/cart/add/:productId', ensureAuthenticated, async (req, res) => {
 });
 
 // Cart count API
-app.get('/cart/count', ensureAuthenticated, async (req, res) => {
+app.get('/cart/count', async (req, res) => {
     try {
+        if (!req.user) {
+            return res.json({ count: GuestCart.count(req.session) });
+        }
+
         const result = await db.get(
             'SELECT SUM(quantity) as count FROM cart WHERE user_id = ?',
             [req.user.id]
@@ -823,8 +1133,13 @@ app.get('/cart/count', ensureAuthenticated, async (req, res) => {
 });
 
 // Remove from cart
-app.post('/cart/remove/:cartId', ensureAuthenticated, async (req, res) => {
+app.post('/cart/remove/:cartId', async (req, res) => {
     try {
+        if (!req.user) {
+            GuestCart.remove(req.session, req.params.cartId);
+            return res.json({ success: true });
+        }
+
         await db.run('DELETE FROM cart WHERE id = ? AND user_id = ?', 
             [req.params.cartId, req.user.id]);
         res.json({ success: true });
@@ -835,12 +1150,32 @@ app.post('/cart/remove/:cartId', ensureAuthenticated, async (req, res) => {
 });
 
 // Update cart quantity
-app.post('/cart/update/:cartId', ensureAuthenticated, async (req, res) => {
+app.post('/cart/update/:cartId', async (req, res) => {
     try {
         const { quantity } = req.body;
-        await db.run('UPDATE cart SET quantity = ? WHERE id = ? AND user_id = ?', 
-            [quantity, req.params.cartId, req.user.id]);
-        res.json({ success: true });
+        if (!req.user) {
+            const updated = await GuestCart.update(db, req.session, req.params.cartId, quantity);
+            if (updated === null) {
+                return res.status(404).json({ error: 'Cart item not found' });
+            }
+            return res.json({ success: true, quantity: updated });
+        }
+
+        const item = await db.get(`
+            SELECT c.id, COALESCE(v.stock, p.stock) as stock
+            FROM cart c
+            JOIN products p ON c.product_id = p.id
+            LEFT JOIN product_variants v ON c.variant_id = v.id
+            WHERE c.id = ? AND c.user_id = ?
+        `, [req.params.cartId, req.user.id]);
+        if (!item) {
+            return res.status(404).json({ error: 'Cart item not found' });
+        }
+
+        // Kept between 1 and the stock available, as in the guest cart
+        const updated = Math.max(1, Math.min(parseInt(quantity) || 1, item.stock));
+        await db.run('UPDATE cart SET quantity = ? WHERE id = ?', [updated, item.id]);
+        res.json({ success: true, quantity: updated });
     } catch (error) {
         console.error('Update cart error:', error);
         res.status(500).json({ error: 'Server error' });
@@ -848,8 +1183,13 @@ app.post('/cart/update/:cartId', ensureAuthenticated, async (req, res) => {
 });
 
 // Clear cart
-app.post('/cart/clear', ensureAuthenticated, async (req, res) => {
+app.post('/cart/clear', async (req, res) => {
     try {
+        if (!req.user) {
+            GuestCart.clear(req.session);
+            return res.json({ success: true });
+        }
+
         await db.run('DELETE FROM cart WHERE user_id = ?', [req.user.id]);
         res.json({ success: true });
     } catch (error) {
@@ -858,57 +1198,28 @@ app.post('/cart/clear', ensureAuthenticated, async (req, res) => {
     }
 });
 
-// Apply coupon
+// Apply coupon. The code is only remembered here; it is counted as used when an order is placed with it.
 app.post('/cart/apply-coupon', ensureAuthenticated, async (req, res) => {
     try {
         const { code } = req.body;
         
-        const coupon = await db.get(
-            'SELECT * FROM coupons WHERE code = ? AND valid_from <= CURRENT_TIMESTAMP AND valid_until >= CURRENT_TIMESTAMP AND (usage_limit IS NULL OR used_count < usage_limit)',
-            [code]
-        );
-        
-        if (!coupon) {
-            return res.json({ success: false, message: 'Invalid or expired coupon' });
-        }
-        
-        // Get cart subtotal
+        // Get cart items
         const cartItems = await db.all(`
-            SELECT c.*, p.price 
+            SELECT c.*, ${Sales.priceSql('p', 'v')} as price 
             FROM cart c 
             JOIN products p ON c.product_id = p.id 
+            LEFT JOIN product_variants v ON c.variant_id = v.id 
             WHERE c.user_id = ?
         `, [req.user.id]);
         
-        let subtotal = 0;
-        cartItems.forEach(item => {
-            subtotal += item.price * item.quantity;
-        });
-        
-        if (subtotal < coupon.min_order_amount) {
-            return res.json({ 
-                success: false, 
-                message: `Minimum order amount of ₹${coupon.min_order_amount} required` 
-            });
-        }
-        
-        let discountAmount = 0;
-        if (coupon.discount_type === 'percentage') {
-            discountAmount = (subtotal * coupon.discount_value) / 100;
-            if (coupon.max_discount && discountAmount > coupon.max_discount) {
-                discountAmount = coupon.max_discount;
-            }
-        } else {
-            discountAmount = coupon.discount_value;
+        const result = await Coupons.evaluate(db, code, req.user.id, cartItems);
+        if (result.error) {
+            return res.json({ success: false, message: result.error });
         }
         
-        // Increment coupon usage
-        await db.run('UPDATE coupons SET used_count = used_count + 1 WHERE id = ?', [coupon.id]);
+        req.session.couponCode = result.coupon.code;
         
-        req.session.discount = discountAmount;
-        req.session.couponCode = code;
-        
-        res.json({ success: true, message: `Coupon applied! You saved ₹${discountAmount}` });
+        res.json({ success: true, message: `Coupon applied! You saved ₹${Pricing.format(result.discount)}` });
         
     } catch (error) {
         console.error('Apply coupon error:', error);
@@ -916,15 +1227,54 @@ app.post('/cart/apply-coupon', ensureAuthenticated, async (req, res) => {
     }
 });
 
+// Remove coupon
+app.post('/cart/remove-coupon', ensureAuthenticated, (req, res) => {
+    delete req.session.couponCode;
+    res.json({ success: true });
+});
+
 // ==================== CHECKOUT ROUTES ====================
 
+// Message shown on the cart page for lines that could not be reserved or bought
+function soldOutNotice(items) {
+    const names = items.map(item => {
+        const label = Inventory.variantLabel(item);
+        return label ? `${item.name} (${label})` : item.name;
+    });
+    return `Sorry, there is not enough stock left for: ${names.join(', ')}. Please update your cart and try again.`;
+}
+
+// UPI payment link for an amount in paise, as a QR code image
+async function upiPaymentQr(amount, reference) {
+    const upiId = process.env.UPI_ID || 'sportswear@okhdfcbank';
+    const payeeName = 'SportsWear';
+    const upiUrl = `upi://pay?pa=${upiId}&pn=${encodeURIComponent(payeeName)}&am=${Pricing.format(amount)}&cu=INR&tn=${encodeURIComponent('Order ' + reference)}`;
+    return { upiId, qrCodeDataUrl: await QRCode.toDataURL(upiUrl) };
+}
+
+// Issue the gift cards bought in a paid order and tell the buyer where to find the codes
+async function issueGiftCards(orderId) {
+    const issued = await GiftCards.issueForOrder(db, orderId);
+    if (issued.length === 0) return;
+
+    const order = await db.get('SELECT user_id, order_number FROM orders WHERE id = ?', [orderId]);
+    await Notifications.create(db, order.user_id, {
+        type: 'gift_card',
+        title: `Your gift card${issued.length === 1 ? ' is' : 's are'} ready`,
+        message: `Order ${order.order_number}: ${issued.length} gift card code${issued.length === 1 ? '' : 's'} to redeem or pass on.`,
+        link: `/order/${orderId}`
+    });
+}
+
 // Checkout page
 app.get('/checkout', ensureAuthenticated, async (req, res) => {
     try {
         const cartItems = await db.all(`
-            SELECT c.*, p.name, p.price, p.image_url, p.stock 
+            SELECT c.*, p.name, ${Sales.priceSql('p', 'v')} as price, COALESCE(v.price, p.price) as original_price, p.image_url, 
+                   COALESCE(v.stock, p.stock) as stock, v.size, v.color, v.sku 
             FROM cart c 
             JOIN products p ON c.product_id = p.id 
+            LEFT JOIN product_variants v ON c.variant_id = v.id 
             WHERE c.user_id = ?
         `, [req.user.id]);
 
@@ -932,36 +1282,64 @@ app.get('/checkout', ensureAuthenticated, async (req, res) => {
             return res.redirect('/cart');
         }
 
-        let subtotal = 0;
-        cartItems.forEach(item => {
-            subtotal += item.price * item.quantity;
-        });
+        const couponResult = await sessionCoupon(req, cartItems);
+        if (couponResult && couponResult.error) {
+            req.session.cartNotice = couponNotice(req.session.couponCode, couponResult.error);
+            delete req.session.couponCode;
+            return res.redirect('/cart');
+        }
+
+        // Hold the cart while the customer pays, so nobody else can buy the last units meanwhile
+        const reservation = await StockReservations.reserveCart(db, req.user.id, cartItems);
+        if (reservation.shortages.length > 0) {
+            await StockReservations.release(db, req.user.id);
+            req.session.cartNotice = soldOutNotice(reservation.shortages);
+            return res.redirect('/cart');
+        }
+
+        // Shipping depends on the PIN code; start from the default saved address, if we still deliver there
+        const addresses = await Addresses.list(db, req.user.id);
+        for (const address of addresses) {
+            address.serviceable = (await Shipping.check(db, address.pincode)).serviceable;
+        }
+        const selectedAddress = addresses.find(address => address.serviceable) || null;
+        const pincode = selectedAddress ? selectedAddress.pincode : null;
 
-        const tax = subtotal * 0.18;
-        const discount = req.session.discount || 0;
-        const shipping = subtotal >= 999 ? 0 : 50;
-        const total = subtotal + tax + shipping - discount;
+        const quote = await Pricing.quote(db, cartItems, { coupon: couponResult, pincode });
+        const amounts = Pricing.summary(quote);
 
-        const tempOrderId = 'TEMP' + Date.now();
+        // The order number is set aside now so the UPI note can carry it for reconciliation. The QR
+        // needs the final amount, so without a PIN code it waits for the page to fetch one.
+        const checkout = await CheckoutTokens.issue(db, req.user.id);
         const upiId = process.env.UPI_ID || 'sportswear@okhdfcbank';
-        const payeeName = 'SportsWear';
-        const amount = total.toFixed(2);
-        
-        const upiUrl = `upi://pay?pa=${upiId}&pn=${encodeURIComponent(payeeName)}&am=${amount}&cu=INR&tn=${encodeURIComponent('Order ' + tempOrderId)}`;
-        const qrCodeDataUrl = await QRCode.toDataURL(upiUrl);
+        const { qrCodeDataUrl } = quote.delivery ? await upiPaymentQr(quote.total, checkout.orderNumber) : {};
+
+        const cod = pincode
+            ? await CashOnDelivery.eligibility(db, req.user.id, pincode, quote.total)
+            : { eligible: false, reason: 'Choose a delivery address to check Cash on Delivery', fee: CashOnDelivery.fee };
 
         res.render('checkout', { 
             user: req.user, 
             cartItems: cartItems || [], 
-            subtotal: subtotal || 0,
-            tax: tax || 0,
-            shipping: shipping,
-            discount: discount || 0,
-            total: total || 0,
+            subtotal: amounts.subtotal,
+            tax: amounts.tax,
+            homeState: GST.homeState,
+            shipping: amounts.shipping,
+            discount: amounts.discount,
+            couponCode: quote.couponCode,
+            delivery: quote.delivery,
+            addresses,
+            selectedAddressId: selectedAddress ? selectedAddress.id : null,
+            total: amounts.total,
             qrCodeDataUrl: qrCodeDataUrl || null,
             upiId: upiId,
-            tempOrderId: tempOrderId,
-            paymentMethods: ['UPI', 'Paytm', 'Google Pay', 'QR Code', 'Credit Card', 'Debit Card', 'Net Banking']
+            orderNumber: checkout.orderNumber,
+            reservationExpiresAt: reservation.expiresAt,
+            reservationMinutes: StockReservations.holdMinutes,
+            cod: { ...cod, fee: Pricing.toRupees(cod.fee) },
+            walletBalance: Pricing.toRupees(await Wallet.balance(db, req.user.id)),
+            checkoutToken: checkout.token,
+            paymentMethods: ['UPI', 'Paytm', 'Google Pay', 'QR Code', ...(PaymentGateways.active ? PaymentGateways.methods : []), CashOnDelivery.method]
         });
     } catch (error) {
         console.error('Checkout page error:', error);
@@ -972,76 +1350,262 @@ app.get('/checkout', ensureAuthenticated, async (req, res) => {
     }
 });
 
+// Payment QR for the cart delivered to a PIN code, fetched by the checkout page when the PIN code changes
+app.get('/checkout/payment-qr', ensureAuthenticated, async (req, res) => {
+    try {
+        const { pincode } = req.query;
+        const reference = await CheckoutTokens.orderNumber(db, req.user.id, req.query.token);
+        if (!reference) {
+            return res.status(400).json({ error: 'This checkout has expired. Please reload the page.' });
+        }
+
+        const cartItems = await db.all(`
+            SELECT c.*, p.name, ${Sales.priceSql('p', 'v')} as price 
+            FROM cart c 
+            JOIN products p ON c.product_id = p.id 
+            LEFT JOIN product_variants v ON c.variant_id = v.id 
+            WHERE c.user_id = ?
+        `, [req.user.id]);
+        if (cartItems.length === 0) {
+            return res.status(400).json({ error: 'Cart is empty' });
+        }
+
+        const couponResult = await sessionCoupon(req, cartItems);
+        const quote = await Pricing.quote(db, cartItems, { coupon: couponResult && !couponResult.error ? couponResult : null, pincode });
+        if (!quote.delivery || !quote.delivery.serviceable) {
+            return res.status(400).json({ error: quote.delivery ? quote.delivery.reason : 'Enter a valid 6-digit PIN code' });
+        }
+
+        // With wallet balance applied, the QR is only for the part the wallet does not cover
+        const due = req.query.wallet ? quote.total - Math.min(await Wallet.balance(db, req.user.id), quote.total) : quote.total;
+        if (due === 0) {
+            return res.json({ amount: Pricing.format(0), qrCodeDataUrl: null });
+        }
+
+        const { qrCodeDataUrl } = await upiPaymentQr(due, reference);
+        res.json({ amount: Pricing.format(due), qrCodeDataUrl });
+    } catch (error) {
+        console.error('Payment QR error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Process checkout
 app.post('/checkout/process', ensureAuthenticated, async (req, res) => {
+    // Set once this submit has claimed the form's checkout token, saved a payment screenshot and
+    // placed the order
+    let checkoutToken = null;
+    let paymentProof = null;
+    let placedOrderId = null;
     try {
-        const { paymentMethod, address, city, pincode, phone, notes } = req.body;
-        const fullAddress = `${address}, ${city} - ${pincode}`;
-        let paymentProof = null;
+        const { paymentMethod, notes } = req.body;
+
+        // A repeat of a submit that already placed its order (double click, browser retry) gets that order back
+        const claim = await CheckoutTokens.claim(db, req.user.id, req.body.checkoutToken);
+        if (claim.orderId) {
+            return res.redirect('/order-confirmation/' + claim.orderId);
+        }
+        if (claim.error) {
+            return res.status(409).render('error', {
+                message: claim.error,
+                user: req.user || null
+            });
+        }
+        checkoutToken = req.body.checkoutToken;
+        const orderNumber = claim.orderNumber;
+
+        // Deliver to a saved address or one typed in at checkout; the order keeps its own copy either way
+        let shipTo;
+        if (req.body.addressId && req.body.addressId !== 'new') {
+            shipTo = await Addresses.get(db, req.user.id, req.body.addressId);
+            if (!shipTo) {
+                return res.status(400).render('error', {
+                    message: 'The selected address could not be found. Please go back and choose another.',
+                    user: req.user || null
+                });
+            }
+        } else {
+            const { error, values } = Addresses.parse(req.body);
+            if (error) {
+                return res.status(400).render('error', {
+                    message: `${error}. Please go back and check the address.`,
+                    user: req.user || null
+                });
+            }
+            shipTo = values;
+        }
+        const { city, pincode, phone } = shipTo;
+        const fullAddress = Addresses.format(shipTo);
+
+        // GST depends on the state the order is delivered to, which comes from the PIN code
+        if (!Pincodes.stateFor(pincode)) {
+            return res.status(400).render('error', {
+                message: `We could not recognise the PIN code "${pincode || ''}". Please go back and check it.`,
+                user: req.user || null
+            });
+        }
 
-        if (paymentMethod === 'QR Code' && req.files && req.files.paymentProof) {
-            const file = req.files.paymentProof;
-            const fileName = `proof_${Date.now()}_${file.name.replace(/[^a-zA-Z0-9.]/g, '')}`;
-            const uploadPath = path.join(__dirname, 'public/uploads', fileName);
-            await file.mv(uploadPath);
-            paymentProof = `/uploads/${fileName}`;
+        const serviceability = await Shipping.check(db, pincode);
+        if (!serviceability.serviceable) {
+            return res.status(400).render('error', {
+                message: `Sorry, we cannot deliver to PIN code ${pincode}: ${serviceability.reason}. Please go back and choose another address.`,
+                user: req.user || null
+            });
         }
 
-        const cartItems = await db.all(
-            'SELECT c.*, p.price, p.id as product_id FROM cart c JOIN products p ON c.product_id = p.id WHERE c.user_id = ?',
-            [req.user.id]
-        );
+        const cartItems = await db.all(`
+            SELECT c.*, p.name, ${Sales.priceSql('p', 'v')} as price, p.id as product_id, v.size, v.color, v.sku 
+            FROM cart c 
+            JOIN products p ON c.product_id = p.id 
+            LEFT JOIN product_variants v ON c.variant_id = v.id 
+            WHERE c.user_id = ?
+        `, [req.user.id]);
 
         if (cartItems.length === 0) {
             return res.status(400).json({ error: 'Cart is empty' });
         }
 
-        let subtotal = 0;
-        cartItems.forEach(item => {
-            subtotal += item.price * item.quantity;
-        });
-        
-        const tax = subtotal * 0.18;
-        const shipping = subtotal >= 999 ? 0 : 50;
-        const discount = req.session.discount || 0;
-        const total = subtotal + tax + shipping - discount;
-        const orderNumber = 'ORD' + Date.now() + Math.floor(Math.random() * 1000);
+        // The discount is worked out again from the cart being bought, not taken from the session
+        const couponResult = await sessionCoupon(req, cartItems);
+        if (couponResult && couponResult.error) {
+            if (paymentProof) {
+                fs.unlink(path.join(__dirname, 'public', paymentProof), () => {});
+            }
+            req.session.cartNotice = couponNotice(req.session.couponCode, couponResult.error);
+            delete req.session.couponCode;
+            return res.redirect('/cart');
+        }
+
+        // Wallet balance, when the customer chooses to use it, pays first and the chosen method
+        // covers the rest; an order the wallet covers in full is paid there and then
+        const walletBalance = req.body.useWallet ? await Wallet.balance(db, req.user.id) : 0;
+        let cod = paymentMethod === CashOnDelivery.method;
+        let quote = await Pricing.quote(db, cartItems, { coupon: couponResult, pincode, codFee: cod ? CashOnDelivery.fee : 0 });
+        if (cod && walletBalance >= quote.total - quote.codFee) {
+            cod = false;
+            quote = await Pricing.quote(db, cartItems, { coupon: couponResult, pincode });
+        }
+        const walletAmount = Math.min(walletBalance, quote.total);
+        const amountDue = quote.total - walletAmount;
+        const method = amountDue === 0 ? Wallet.method : paymentMethod;
+
+        if (PaymentGateways.handles(method) && !PaymentGateways.active) {
+            return res.status(400).render('error', {
+                message: `${method} payments are not available right now. Please go back and choose another payment method.`,
+                user: req.user || null
+            });
+        }
+
+        // Cash on Delivery is checked against the order before its own fee is added
+        if (cod) {
+            const eligibility = await CashOnDelivery.eligibility(db, req.user.id, pincode, quote.total - quote.codFee);
+            if (!eligibility.eligible) {
+                return res.status(400).render('error', {
+                    message: `${eligibility.reason}. Please go back and choose another payment method.`,
+                    user: req.user || null
+                });
+            }
+        }
+        const total = Pricing.toRupees(quote.total);
+
+        // A QR payment needs its UTR and a screenshot that really is an image
+        let proofCheck = { utr: null, hash: null };
+        if (method === 'QR Code') {
+            proofCheck = await PaymentProofs.check(db, req.body.upiTransactionId, req.files && req.files.paymentProof);
+            if (proofCheck.error) {
+                return res.status(400).render('error', {
+                    message: `${proofCheck.error}. Please go back and try again.`,
+                    user: req.user || null
+                });
+            }
+            paymentProof = await PaymentProofs.save(req.files.paymentProof, proofCheck.image);
+        }
 
         await db.run('BEGIN TRANSACTION');
 
         // Create order
         const orderResult = await db.run(`
-            INSERT INTO orders (user_id, order_number, total_amount, payment_method, shipping_address, city, pincode, phone, notes, status)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [req.user.id, orderNumber, total, paymentMethod, fullAddress, city, pincode, phone, notes, 'pending']);
+            INSERT INTO orders (user_id, order_number, subtotal_amount, tax_amount, shipping_amount, cod_fee, discount_amount, coupon_code,
+                                place_of_supply, shipping_zone, estimated_delivery, total_amount, wallet_amount, payment_method, shipping_address,
+                                recipient_name, address_line1, address_line2, city, state, pincode, phone, notes, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [req.user.id, orderNumber, Pricing.toRupees(quote.subtotal), Pricing.toRupees(quote.tax), Pricing.toRupees(quote.shipping),
+            Pricing.toRupees(quote.codFee), Pricing.toRupees(quote.discount), quote.couponCode, quote.placeOfSupply, quote.delivery.zone.name, quote.delivery.estimate.to,
+            total, Pricing.toRupees(walletAmount), method, fullAddress, shipTo.recipient_name, shipTo.line1, shipTo.line2, city, shipTo.state, pincode, phone,
+            notes, amountDue === 0 ? 'completed' : 'pending']);
+
+        // Count the coupon use now that there is an order for it; the last use can only go to one order
+        const redemption = couponResult ? await Coupons.redeem(db, couponResult.coupon, req.user.id, orderResult.lastID, quote.discount) : null;
+        if (redemption && redemption.error) {
+            await db.run('ROLLBACK');
+            if (paymentProof) {
+                fs.unlink(path.join(__dirname, 'public', paymentProof), () => {});
+            }
+            req.session.cartNotice = couponNotice(couponResult.coupon.code, redemption.error);
+            delete req.session.couponCode;
+            return res.redirect('/cart');
+        }
 
-        // Add order items and update stock
-        for (const item of cartItems) {
+        // Add order items and take them out of stock; one sold-out line fails the whole order
+        const soldOut = [];
+        for (const [index, item] of cartItems.entries()) {
+            const line = quote.lines[index];
             await db.run(`
-                INSERT INTO order_items (order_id, product_id, quantity, price)
-                VALUES (?, ?, ?, ?)
-            `, [orderResult.lastID, item.product_id, item.quantity, item.price]);
-
-            await db.run(
-                'UPDATE products SET stock = stock - ? WHERE id = ?',
-                [item.quantity, item.product_id]
-            );
+                INSERT INTO order_items (order_id, product_id, variant_id, size, color, sku, quantity, price,
+                                         hsn_code, tax_rate, taxable_amount, cgst_amount, sgst_amount, igst_amount)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [orderResult.lastID, item.product_id, item.variant_id, item.size, item.color, item.sku, item.quantity, item.price,
+                line.hsn_code, line.tax_rate, Pricing.toRupees(line.taxable), Pricing.toRupees(line.cgst), Pricing.toRupees(line.sgst), Pricing.toRupees(line.igst)]);
+
+            if (!await Inventory.takeItemStock(db, item, req.user.id, { reason: 'order_placed', orderId: orderResult.lastID })) {
+                soldOut.push(item);
+            }
+        }
+
+        if (soldOut.length > 0) {
+            await db.run('ROLLBACK');
+            if (paymentProof) {
+                fs.unlink(path.join(__dirname, 'public', paymentProof), () => {});
+            }
+            req.session.cartNotice = soldOutNotice(soldOut);
+            return res.redirect('/cart');
+        }
+
+        // Take the wallet's share; the balance was read before the transaction, so it may have been spent since
+        if (walletAmount > 0 && !await Wallet.debit(db, req.user.id, walletAmount, { description: `Order ${orderNumber}`, orderId: orderResult.lastID })) {
+            await db.run('ROLLBACK');
+            if (paymentProof) {
+                fs.unlink(path.join(__dirname, 'public', paymentProof), () => {});
+            }
+            return res.status(400).render('error', {
+                message: 'Your wallet balance has changed. Please go back and check your order.',
+                user: req.user || null
+            });
         }
 
-        // Record payment
+        // Record payment of whatever the wallet did not cover (or of the wallet itself, when it covered everything)
         await db.run(`
-            INSERT INTO payments (order_id, user_id, amount, payment_method, payment_proof, status)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `, [orderResult.lastID, req.user.id, total, paymentMethod, paymentProof, 'pending']);
+            INSERT INTO payments (order_id, user_id, amount, payment_method, payment_proof, proof_hash, upi_transaction_id, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [orderResult.lastID, req.user.id, Pricing.toRupees(amountDue || walletAmount), method, paymentProof, proofCheck.hash, proofCheck.utr,
+            amountDue === 0 ? 'completed' : 'pending']);
 
-        // Clear cart
+        // Clear cart and the reservation held for it
         await db.run('DELETE FROM cart WHERE user_id = ?', [req.user.id]);
+        await StockReservations.release(db, req.user.id);
 
-        // Clear discount session
-        delete req.session.discount;
+        // Clear the applied coupon
         delete req.session.couponCode;
 
+        // A new address typed in at checkout goes into the address book when asked
+        if (!shipTo.id && req.body.saveAddress) {
+            await Addresses.create(db, req.user.id, shipTo);
+        }
+
+        await CheckoutTokens.complete(db, checkoutToken, orderResult.lastID);
         await db.run('COMMIT');
+        placedOrderId = orderResult.lastID;
+        await checkStockAlerts(cartItems.map(item => item.product_id));
 
         // Prepare shipping details for logging
         const shippingDetails = {
@@ -1055,8 +1619,10 @@ app.post('/checkout/process', ensureAuthenticated, async (req, res) => {
         const order = {
             order_number: orderNumber,
             total_amount: total,
-            payment_method: paymentMethod,
-            status: 'pending',
+            payment_method: method,
+            status: amountDue === 0 ? 'completed' : 'pending',
+            coupon_code: quote.couponCode,
+            discount_amount: Pricing.toRupees(quote.discount),
             phone,
             shipping_address: fullAddress,
             created_at: new Date().toISOString()
@@ -1064,21 +1630,247 @@ app.post('/checkout/process', ensureAuthenticated, async (req, res) => {
         
         await discordLogger.logOrderCreate(req.user, order, cartItems, shippingDetails);
 
-        // Log payment initiation
+        // Log payment initiation, or the payment itself when the wallet covered the order
         const payment = {
             order_id: orderResult.lastID,
-            amount: total,
-            payment_method: paymentMethod
+            amount: Pricing.toRupees(amountDue || walletAmount),
+            payment_method: method
         };
-        await discordLogger.logPaymentInit(req.user, payment, shippingDetails);
+        if (amountDue === 0) {
+            await issueGiftCards(orderResult.lastID);
+            await discordLogger.logPaymentSuccess(req.user, payment, null, null, shippingDetails);
+        } else {
+            await discordLogger.logPaymentInit(req.user, payment, shippingDetails);
+        }
 
+        // Card and net banking payments continue at the payment gateway
+        if (amountDue > 0 && PaymentGateways.handles(method)) {
+            return res.redirect(`/payments/${orderResult.lastID}/pay`);
+        }
         res.redirect('/order-confirmation/' + orderResult.lastID);
         
     } catch (error) {
         await db.run('ROLLBACK');
+        if (paymentProof && !placedOrderId) {
+            fs.unlink(path.join(__dirname, 'public', paymentProof), () => {});
+        }
+        // Another order took the UTR between the check and the insert
+        if (PaymentProofs.isUtrConflict(error)) {
+            return res.status(400).render('error', {
+                message: `${PaymentProofs.utrUsedMessage}. Please go back and try again.`,
+                user: req.user || null
+            });
+        }
         console.error('Checkout error:', error);
         await discordLogger.logError(error, { location: 'checkout', user: req.user });
         res.status(500).json({ error: 'Server error' });
+    } finally {
+        // Let the form be sent again when this submit did not get as far as placing the order
+        if (checkoutToken && !placedOrderId) {
+            await CheckoutTokens.release(db, checkoutToken);
+        }
+    }
+});
+
+// Apply a payment gateway event to the payment it is for. Events can arrive more than once (the
+// customer's redirect and the webhook both report a payment, and gateways retry webhooks), so each
+// is recorded and a repeat changes nothing. An event is only recorded once it has been applied, so
+// if applying it fails the gateway's retry is not mistaken for a repeat. Returns the payment, or
+// null if the event is not for one.
+// A charge for a payment that was cancelled or expired in the meantime cannot complete it; the
+// payment is left with gateway_status 'completed' (see chargedAfterCancel) and reported so the
+// money is refunded.
+async function applyGatewayEvent(provider, event) {
+    const payment = await PaymentGateways.findPayment(db, provider, event.reference);
+    if (!payment) return null;
+    if (await PaymentGateways.hasEvent(db, provider, event)) return payment;
+
+    const order = await db.get('SELECT * FROM orders WHERE id = ?', [payment.order_id]);
+    if (event.status === 'completed') {
+        if (event.amount !== null && event.amount !== Pricing.toPaise(payment.amount)) {
+            console.error(`Gateway amount mismatch for order ${order.order_number}: ${event.amount} paise received`);
+            await discordLogger.logError(new Error('Payment gateway amount mismatch'), { location: `payment gateway (order ${order.order_number})` });
+            await PaymentGateways.recordEvent(db, provider, event, payment.id);
+            return payment;
+        }
+        await db.run("UPDATE payments SET gateway_status = 'completed' WHERE id = ?", [payment.id]);
+        if (!await completeOrderPayment(order, payment, { transactionReference: event.transactionId })) {
+            const current = await db.get('SELECT status FROM payments WHERE id = ?', [payment.id]);
+            if (chargedAfterCancel({ ...current, gateway_status: 'completed' })) {
+                console.error(`Gateway payment received for ${current.status} payment of order ${order.order_number}`);
+                await discordLogger.logError(
+                    new Error(`₹${Pricing.format(Pricing.toPaise(payment.amount))} was charged at the gateway (${event.transactionId || event.reference}) after the payment was ${current.status}. Refund it to the customer.`),
+                    { location: `payment gateway (order ${order.order_number})` }
+                );
+            }
+        }
+    } else if (event.status === 'failed' && payment.status === 'pending') {
+        // The order stays pending so the customer can try again from the order page
+        await db.run("UPDATE payments SET gateway_status = 'failed' WHERE id = ?", [payment.id]);
+        const user = await db.get('SELECT * FROM users WHERE id = ?', [order.user_id]);
+        await discordLogger.logPaymentFailed(user, payment, 'Declined at the payment gateway');
+    }
+    await PaymentGateways.recordEvent(db, provider, event, payment.id);
+    return db.get('SELECT * FROM payments WHERE id = ?', [payment.id]);
+}
+
+// The gateway took the money but the order had been cancelled or had expired by then
+function chargedAfterCancel(payment) {
+    return payment.gateway_status === 'completed' && !['completed', 'partially_refunded', 'refunded'].includes(payment.status);
+}
+
+function renderChargedAfterCancel(req, res) {
+    res.render('error', {
+        message: 'We received your payment, but this order had already been cancelled, so it will not be shipped. Your payment will be refunded to you.',
+        user: req.user || null
+    });
+}
+
+// Send the customer to the payment gateway for a pending card or net banking payment
+app.get('/payments/:orderId/pay', ensureAuthenticated, async (req, res) => {
+    try {
+        const order = await db.get('SELECT * FROM orders WHERE id = ? AND user_id = ?', [req.params.orderId, req.user.id]);
+        if (!order) {
+            return res.status(404).render('error', { 
+                message: 'Order not found',
+                user: req.user || null 
+            });
+        }
+
+        const payment = await db.get('SELECT * FROM payments WHERE order_id = ?', [order.id]);
+        if (!payment || payment.status !== 'pending' || !PaymentGateways.handles(payment.payment_method) ||
+            ['cancelled', 'refused'].includes(order.status)) {
+            return res.redirect('/order/' + order.id);
+        }
+
+        const provider = PaymentGateways.active;
+        if (!provider) {
+            return res.status(503).render('error', { 
+                message: 'Online payments are unavailable right now. Please try again later.',
+                user: req.user || null 
+            });
+        }
+
+        const prepared = await PaymentGateways.prepare(db, payment, order);
+        const handoff = await provider.handoff({
+            payment: prepared,
+            order,
+            user: req.user,
+            callbackUrl: `${req.protocol}://${req.get('host')}/payments/${provider.id}/callback`
+        });
+        if (handoff.redirectUrl) {
+            return res.redirect(handoff.redirectUrl);
+        }
+        res.render(handoff.view, { user: req.user, order, ...handoff.data });
+    } catch (error) {
+        console.error('Payment gateway handoff error:', error);
+        await discordLogger.logError(error, { location: 'payment gateway', user: req.user });
+        res.status(502).render('error', { 
+            message: 'We could not reach the payment gateway. Your order is saved; please try again from the order page.',
+            user: req.user || null 
+        });
+    }
+});
+
+// The customer returning from the gateway's checkout
+app.post('/payments/:provider/callback', async (req, res) => {
+    try {
+        const provider = PaymentGateways.active;
+        const event = provider && provider.id === req.params.provider && provider.parseCallback(req.body);
+        const payment = event && await applyGatewayEvent(provider, event);
+        if (!payment) {
+            return res.status(400).render('error', { 
+                message: 'We could not confirm this payment. If money was taken, it will be matched to your order shortly.',
+                user: req.user || null 
+            });
+        }
+        if (chargedAfterCancel(payment)) {
+            return renderChargedAfterCancel(req, res);
+        }
+        res.redirect('/order-confirmation/' + payment.order_id);
+    } catch (error) {
+        console.error('Payment callback error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Gateway webhooks, verified against the raw request body
+app.post('/payments/:provider/webhook', async (req, res) => {
+    try {
+        // Only the provider taking payments may report on them
+        const provider = PaymentGateways.active;
+        if (!provider || provider.id !== req.params.provider) {
+            return res.status(404).json({ error: 'Unknown payment provider' });
+        }
+        const event = provider.parseWebhook(req.rawBody, req.headers);
+        if (!event) {
+            return res.status(400).json({ error: 'Invalid signature' });
+        }
+        await applyGatewayEvent(provider, event);
+        res.json({ received: true });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// The mock provider's checkout page, for development
+async function findMockPayment(req) {
+    if (PaymentGateways.active !== MockGateway) return null;
+    const payment = await PaymentGateways.findPayment(db, MockGateway, req.params.reference);
+    if (!payment) return null;
+    const order = await db.get('SELECT * FROM orders WHERE id = ? AND user_id = ?', [payment.order_id, req.user.id]);
+    return order ? { payment, order } : null;
+}
+
+app.get('/payments/mock/:reference', ensureAuthenticated, async (req, res) => {
+    try {
+        const found = await findMockPayment(req);
+        if (!found) {
+            return res.status(404).render('error', { 
+                message: 'Payment not found',
+                user: req.user || null 
+            });
+        }
+        if (found.payment.status !== 'pending') {
+            return res.redirect('/order/' + found.order.id);
+        }
+        res.render('mock-gateway', { user: req.user, ...found });
+    } catch (error) {
+        console.error('Mock gateway error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+app.post('/payments/mock/:reference', ensureAuthenticated, async (req, res) => {
+    try {
+        const found = await findMockPayment(req);
+        if (!found || !['success', 'failed'].includes(req.body.outcome)) {
+            return res.status(400).render('error', { 
+                message: 'Invalid payment',
+                user: req.user || null 
+            });
+        }
+
+        // Goes through webhook parsing like a real gateway's notification would
+        const { rawBody, headers } = MockGateway.webhookFor(found.payment, req.body.outcome);
+        const payment = await applyGatewayEvent(MockGateway, MockGateway.parseWebhook(rawBody, headers));
+        if (chargedAfterCancel(payment)) {
+            return renderChargedAfterCancel(req, res);
+        }
+        res.redirect(payment.status === 'completed' ? '/order-confirmation/' + found.order.id : '/order/' + found.order.id);
+    } catch (error) {
+        console.error('Mock gateway error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
     }
 });
 
@@ -1141,7 +1933,7 @@ app.get('/profile', ensureAuthenticated, async (req, res) => {
         `, [req.user.id]);
 
         const wishlistItems = await db.all(`
-            SELECT w.*, p.name, p.price, p.image_url 
+            SELECT w.*, p.name, ${Sales.priceSql('p')} as price, p.image_url 
             FROM wishlist w 
             JOIN products p ON w.product_id = p.id 
             WHERE w.user_id = ?
@@ -1160,7 +1952,13 @@ app.get('/profile', ensureAuthenticated, async (req, res) => {
             stats: orderStats || { total_orders: 0, total_spent: 0, completed_spent: 0 },
             orders: recentOrders || [],
             wishlist: wishlistItems || [],
-            recentActivity: recentActivity || [] 
+            recentActivity: recentActivity || [],
+            addresses: await Addresses.list(db, req.user.id),
+            walletBalance: Pricing.toRupees(await Wallet.balance(db, req.user.id)),
+            walletHistory: await Wallet.history(db, req.user.id),
+            walletTypes: Wallet.typeLabels,
+            notifications: await Notifications.list(db, req.user.id),
+            unreadNotifications: await Notifications.unreadCount(db, req.user.id)
         });
     } catch (error) {
         console.error('Profile error:', error);
@@ -1220,6 +2018,98 @@ app.post('/profile/change-password', ensureAuthenticated, async (req, res) => {
     }
 });
 
+// Redeem a gift card code into the wallet
+app.post('/profile/gift-cards/redeem', ensureAuthenticated, async (req, res) => {
+    try {
+        await db.run('BEGIN TRANSACTION');
+        const { card, error } = await GiftCards.redeem(db, req.body.code, req.user.id);
+        if (error) {
+            await db.run('ROLLBACK');
+            return res.status(400).json({ error });
+        }
+        await db.run('COMMIT');
+
+        await db.run(
+            'INSERT INTO user_activity (user_id, action, ip_address, user_agent, details) VALUES (?, ?, ?, ?, ?)',
+            [req.user.id, 'gift_card_redeem', req.ip, req.headers['user-agent'], `Gift card ${card.code}`]
+        );
+        res.json({ success: true, message: `₹${Number(card.amount).toFixed(2)} has been added to your wallet` });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Redeem gift card error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add saved address
+app.post('/profile/addresses', ensureAuthenticated, async (req, res) => {
+    try {
+        const { error, values } = Addresses.parse(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const addressId = await Addresses.create(db, req.user.id, values, !!req.body.is_default);
+        res.json({ success: true, addressId });
+    } catch (error) {
+        console.error('Add address error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit saved address
+app.post('/profile/addresses/:id/edit', ensureAuthenticated, async (req, res) => {
+    try {
+        const address = await Addresses.get(db, req.user.id, req.params.id);
+        if (!address) {
+            return res.status(404).json({ error: 'Address not found' });
+        }
+
+        const { error, values } = Addresses.parse(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await Addresses.update(db, req.user.id, address.id, values);
+        if (req.body.is_default) {
+            await Addresses.setDefault(db, req.user.id, address.id);
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Edit address error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Make a saved address the one checkout starts with
+app.post('/profile/addresses/:id/default', ensureAuthenticated, async (req, res) => {
+    try {
+        const address = await Addresses.get(db, req.user.id, req.params.id);
+        if (!address) {
+            return res.status(404).json({ error: 'Address not found' });
+        }
+
+        await Addresses.setDefault(db, req.user.id, address.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Default address error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete saved address; orders placed with it keep their own copy
+app.post('/profile/addresses/:id/delete', ensureAuthenticated, async (req, res) => {
+    try {
+        if (!await Addresses.remove(db, req.user.id, req.params.id)) {
+            return res.status(404).json({ error: 'Address not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete address error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Delete account
 app.post('/profile/delete', ensureAuthenticated, async (req, res) => {
     try {
@@ -1231,6 +2121,8 @@ app.post('/profile/delete', ensureAuthenticated, async (req, res) => {
         await db.run('DELETE FROM payments WHERE user_id = ?', [req.user.id]);
         await db.run('DELETE FROM user_activity WHERE user_id = ?', [req.user.id]);
         await db.run('DELETE FROM password_resets WHERE user_id = ?', [req.user.id]);
+        await db.run('DELETE FROM addresses WHERE user_id = ?', [req.user.id]);
+        await db.run('DELETE FROM wallet_transactions WHERE user_id = ?', [req.user.id]);
         await db.run('DELETE FROM orders WHERE user_id = ?', [req.user.id]);
         await db.run('DELETE FROM users WHERE id = ?', [req.user.id]);
         
@@ -1275,6 +2167,17 @@ app.post('/wishlist/remove/:productId', ensureAuthenticated, async (req, res) =>
     }
 });
 
+// Mark all notifications as read
+app.post('/notifications/read', ensureAuthenticated, async (req, res) => {
+    try {
+        await Notifications.markAllRead(db, req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Notifications read error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // ==================== ORDER HISTORY ROUTES ====================
 
 // Order history
@@ -1339,7 +2242,7 @@ app.get('/order/:id', ensureAuthenticated, async (req, res) => {
         }
         
         const orderItems = await db.all(`
-            SELECT oi.*, p.name, p.image_url, p.description 
+            SELECT oi.*, p.name, p.image_url, p.description, p.is_gift_card 
             FROM order_items oi 
             JOIN products p ON oi.product_id = p.id 
             WHERE oi.order_id = ?
@@ -1351,7 +2254,11 @@ app.get('/order/:id', ensureAuthenticated, async (req, res) => {
             user: req.user, 
             order, 
             orderItems: orderItems || [],
-            payment: payment || null 
+            payment: payment || null,
+            giftCards: await GiftCards.listForOrder(db, order.id),
+            refunds: await Refunds.listForOrder(db, order.id),
+            payOnline: !!payment && payment.status === 'pending' && PaymentGateways.handles(payment.payment_method) &&
+                !['cancelled', 'refused'].includes(order.status) && !!PaymentGateways.active
         });
     } catch (error) {
         console.error('Order details error:', error);
@@ -1365,15 +2272,17 @@ app.get('/order/:id', ensureAuthenticated, async (req, res) => {
 // Reorder
 app.post('/order/:id/reorder', ensureAuthenticated, async (req, res) => {
     try {
-        const orderItems = await db.all('SELECT product_id, quantity FROM order_items WHERE order_id = ?', [req.params.id]);
+        const orderItems = await db.all('SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ?', [req.params.id]);
         
         await db.run('BEGIN TRANSACTION');
         
         for (const item of orderItems) {
-            const product = await db.get('SELECT * FROM products WHERE id = ? AND stock >= ?', [item.product_id, item.quantity]);
+            const product = item.variant_id
+                ? await db.get('SELECT * FROM product_variants WHERE id = ? AND stock >= ?', [item.variant_id, item.quantity])
+                : await db.get('SELECT * FROM products WHERE id = ? AND stock >= ?', [item.product_id, item.quantity]);
             
             if (product) {
-                const existing = await db.get('SELECT * FROM cart WHERE user_id = ? AND product_id = ?', [req.user.id, item.product_id]);
+                const existing = await db.get('SELECT * FROM cart WHERE user_id = ? AND product_id = ? AND variant_id IS ?', [req.user.id, item.product_id, item.variant_id]);
                 
                 if (existing) {
                     const newQuantity = existing.quantity + item.quantity;
@@ -1381,7 +2290,7 @@ app.post('/order/:id/reorder', ensureAuthenticated, async (req, res) => {
                         await db.run('UPDATE cart SET quantity = ? WHERE id = ?', [newQuantity, existing.id]);
                     }
                 } else {
-                    await db.run('INSERT INTO cart (user_id, product_id, quantity) VALUES (?, ?, ?)', [req.user.id, item.product_id, item.quantity]);
+                    await db.run('INSERT INTO cart (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)', [req.user.id, item.product_id, item.variant_id, item.quantity]);
                 }
             }
         }
@@ -1403,19 +2312,25 @@ app.post('/order/:id/cancel', ensureAuthenticated, async (req, res) => {
         if (!order) {
             return res.status(400).json({ error: 'Order cannot be cancelled' });
         }
+
+        // A paid order has to be refunded by us, not cancelled
+        const payment = await db.get('SELECT status FROM payments WHERE order_id = ?', [order.id]);
+        if (payment && ['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+            return res.status(400).json({ error: 'This order has been paid, so it cannot be cancelled. Contact us for a refund.' });
+        }
         
         await db.run('BEGIN TRANSACTION');
         
         await db.run('UPDATE orders SET status = "cancelled" WHERE id = ?', [req.params.id]);
         
-        const orderItems = await db.all('SELECT * FROM order_items WHERE order_id = ?', [req.params.id]);
-        for (const item of orderItems) {
-            await db.run('UPDATE products SET stock = stock + ? WHERE id = ?', [item.quantity, item.product_id]);
-        }
+        const orderItems = await Inventory.restoreOrderStock(db, req.params.id, { reason: 'order_cancelled' });
+        await Coupons.release(db, req.params.id);
+        await Wallet.refundOrder(db, req.params.id, `Order ${order.order_number} cancelled`);
         
         await db.run('UPDATE payments SET status = "cancelled" WHERE order_id = ?', [req.params.id]);
         
         await db.run('COMMIT');
+        await checkStockAlerts(orderItems.map(item => item.product_id));
         
         await discordLogger.logOrderUpdate(req.user, order, order.status, 'cancelled', 'user');
         res.json({ success: true });
@@ -1544,12 +2459,8 @@ app.get('/status', (req, res) => {
 app.get('/api/search', async (req, res) => {
     try {
         const { q } = req.query;
-        const products = await db.all(`
-            SELECT * FROM products 
-            WHERE name LIKE ? OR description LIKE ? 
-            LIMIT 20
-        `, [`%${q}%`, `%${q}%`]);
-        res.json(products || []);
+        const { products } = await ProductSearch.search(db, q, { prefix: true, limit: 20 });
+        res.json(Sales.apply(products || []));
     } catch (error) {
         console.error('Search error:', error);
         res.status(500).json({ error: 'Server error' });
@@ -1559,17 +2470,66 @@ app.get('/api/search', async (req, res) => {
 // Products API for infinite scroll
 app.get('/api/products', async (req, res) => {
     try {
+        const filters = ProductCatalog.parseFilters(req.query);
         const page = parseInt(req.query.page) || 1;
         const limit = 12;
         const offset = (page - 1) * limit;
-        const products = await db.all('SELECT * FROM products ORDER BY created_at DESC LIMIT ? OFFSET ?', [limit, offset]);
-        res.json({ products: products || [] });
+        const { products, total } = await ProductCatalog.list(db, filters, { limit, offset });
+        res.json({ products: products || [], total, hasMore: offset + products.length < total });
     } catch (error) {
         console.error('Products API error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Shipping quote for a PIN code: rate for the visitor's cart (or a single parcel when it is empty),
+// estimated delivery date, whether Cash on Delivery is offered and the totals the cart would
+// check out at (before any COD fee)
+app.get('/api/shipping/quote', async (req, res) => {
+    try {
+        const pincode = (req.query.pincode || '').trim();
+        if (!Pincodes.isValid(pincode)) {
+            return res.status(400).json({ error: 'Enter a valid 6-digit PIN code' });
+        }
+
+        const cartItems = req.user
+            ? await db.all(`
+                SELECT c.*, p.name, ${Sales.priceSql('p', 'v')} as price 
+                FROM cart c 
+                JOIN products p ON c.product_id = p.id 
+                LEFT JOIN product_variants v ON c.variant_id = v.id 
+                WHERE c.user_id = ?
+            `, [req.user.id])
+            : await GuestCart.load(db, req.session);
+
+        const couponResult = await sessionCoupon(req, cartItems);
+        const quote = await Pricing.quote(db, cartItems, { coupon: couponResult && !couponResult.error ? couponResult : null, pincode });
+        const { delivery } = quote;
+
+        if (!delivery.serviceable) {
+            return res.json({ pincode, serviceable: false, reason: delivery.reason });
+        }
+
+        const cod = await CashOnDelivery.eligibility(db, req.user ? req.user.id : null, pincode, quote.total);
+
+        res.json({
+            pincode,
+            serviceable: true,
+            state: quote.buyerState,
+            zone: delivery.zone.name,
+            weightGrams: delivery.weightGrams,
+            shipping: Pricing.toRupees(delivery.charge),
+            freeShippingFrom: delivery.freeShippingFrom === null ? null : Pricing.toRupees(delivery.freeShippingFrom),
+            estimatedDelivery: delivery.estimate,
+            cod: { ...cod, fee: Pricing.toRupees(cod.fee) },
+            totals: cartItems.length > 0 ? Pricing.summary(quote) : null
+        });
+    } catch (error) {
+        console.error('Shipping quote error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // ==================== ADMIN ROUTES ====================
 
 // Admin dashboard
@@ -1620,7 +2580,9 @@ app.get('/admin/users', ensureAdmin, async (req, res) => {
             SELECT u.*, 
                    (SELECT COUNT(*) FROM orders WHERE user_id = u.id) as order_count,
                    (SELECT SUM(total_amount) FROM orders WHERE user_id = u.id AND status = 'completed') as total_spent,
-                   (SELECT COUNT(*) FROM user_activity WHERE user_id = u.id) as activity_count
+                   (SELECT COUNT(*) FROM user_activity WHERE user_id = u.id) as activity_count,
+                   (SELECT SUM(remaining) FROM wallet_transactions
+                    WHERE user_id = u.id AND remaining > 0 AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))) as wallet_balance
             FROM users u
             ORDER BY u.created_at DESC
         `);
@@ -1649,18 +2611,67 @@ app.post('/admin/users/:userId/ban', ensureAdmin, async (req, res) => {
     }
 });
 
+// Credit a customer's wallet (goodwill, returns) or take credit back
+app.post('/admin/users/:userId/wallet', ensureAdmin, async (req, res) => {
+    try {
+        const targetUser = await db.get('SELECT * FROM users WHERE id = ?', [req.params.userId]);
+        if (!targetUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const amount = Wallet.parseAmount(req.body.amount);
+        const reason = String(req.body.reason || '').trim();
+        if (!amount || !reason) {
+            return res.status(400).json({ error: 'Enter an amount above ₹0 and a reason' });
+        }
+
+        if (req.body.type === 'debit') {
+            await db.run('BEGIN TRANSACTION');
+            if (!await Wallet.debit(db, targetUser.id, amount, { description: reason, adminId: req.user.id })) {
+                await db.run('ROLLBACK');
+                return res.status(400).json({ error: 'The wallet balance is less than that' });
+            }
+            await db.run('COMMIT');
+        } else {
+            const days = parseInt(req.body.expiresInDays);
+            await Wallet.credit(db, targetUser.id, amount, {
+                description: reason,
+                expiresAt: days > 0 ? (await db.get("SELECT datetime('now', ?) as at", [`+${days} days`])).at : null,
+                adminId: req.user.id
+            });
+        }
+
+        await discordLogger.logAdminAction(req.user, req.body.type === 'debit' ? 'Debited wallet' : 'Credited wallet',
+            `User: ${targetUser.username}, ₹${Pricing.format(amount)} - ${reason}`);
+        res.json({ success: true, balance: Pricing.toRupees(await Wallet.balance(db, targetUser.id)) });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Wallet adjustment error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Admin products page
 app.get('/admin/products', ensureAdmin, async (req, res) => {
     try {
-        const products = await db.all('SELECT * FROM products ORDER BY created_at DESC');
-        const categories = await db.all('SELECT DISTINCT category FROM products');
-        const brands = await db.all('SELECT DISTINCT brand FROM products');
+        const products = await db.all(`
+            SELECT p.*, 
+                   (SELECT COUNT(*) FROM product_variants WHERE product_id = p.id) as variant_count
+            FROM products p 
+            ORDER BY p.created_at DESC
+        `);
+        const categories = await Taxonomy.getCategoryTree(db);
+        const brands = await Taxonomy.getBrands(db);
         
         res.render('admin/products', { 
             user: req.user, 
             products: products || [],
             categories: categories || [],
-            brands: brands || []
+            brands: brands || [],
+            defaultWeightGrams: Shipping.defaultWeightGrams,
+            toInputTime: value => Sales.toInputTime(value),
+            saleActive: product => Sales.isActive(product),
+            saleEnded: product => Sales.hasEnded(product)
         });
     } catch (error) {
         console.error('Admin products error:', error);
@@ -1674,21 +2685,53 @@ app.get('/admin/products', ensureAdmin, async (req, res) => {
 // Add product
 app.post('/admin/products', ensureAdmin, async (req, res) => {
     try {
-        const { name, description, price, category, brand, stock } = req.body;
-        let imageUrl = '/images/default-product.jpg';
+        const { name, description, price, stock, sku } = req.body;
+        const files = req.files && req.files.image ? [].concat(req.files.image) : [];
 
-        if (req.files && req.files.image) {
-            const file = req.files.image;
-            const fileName = `product_${Date.now()}_${file.name.replace(/[^a-zA-Z0-9.]/g, '')}`;
-            const uploadPath = path.join(__dirname, 'public/uploads', fileName);
-            await file.mv(uploadPath);
-            imageUrl = `/uploads/${fileName}`;
+        if (files.some(file => !ProductImages.isImage(file))) {
+            return res.status(400).render('error', { 
+                message: 'Product images must be JPEG, PNG, GIF or WebP',
+                user: req.user || null 
+            });
+        }
+
+        if (sku && await db.get('SELECT id FROM products WHERE sku = ?', [sku])) {
+            return res.status(400).render('error', { 
+                message: `SKU ${sku} is already used by another product`,
+                user: req.user || null 
+            });
+        }
+
+        const sale = Sales.parseProductSale(req.body, price);
+        if (sale.error) {
+            return res.status(400).render('error', { 
+                message: sale.error,
+                user: req.user || null 
+            });
         }
 
+        const { categoryId, category, brandId, brand } = await Taxonomy.resolveProductRefs(db, req.body.category_id, req.body.brand_id);
+
         const result = await db.run(`
-            INSERT INTO products (name, description, price, category, brand, image_url, stock)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [name, description, price, category, brand, imageUrl, stock]);
+            INSERT INTO products (name, description, price, category, brand, category_id, brand_id, image_url, stock, sku, low_stock_threshold, weight_grams,
+                                  sale_price, sale_starts_at, sale_ends_at, is_gift_card)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [name, description, price, category, brand, categoryId, brandId, ProductImages.defaultImage, stock, sku || null,
+            Inventory.parseThreshold(req.body.low_stock_threshold), Shipping.parseWeight(req.body.weight_grams), ...sale.values,
+            req.body.is_gift_card ? 1 : 0]);
+
+        if (parseInt(stock)) {
+            await Inventory.recordMovement(db, result.lastID, parseInt(stock), { reason: 'product_created', adminId: req.user.id });
+        }
+
+        // Every uploaded image goes into the gallery; the first becomes the primary
+        for (const file of files) {
+            const imageUrl = await ProductImages.saveUpload(file);
+            await ProductImages.add(db, result.lastID, imageUrl, name);
+        }
+
+        ProductSearch.invalidate();
+        await checkStockAlerts([result.lastID]);
 
         await discordLogger.logProductAdd(req.user, { id: result.lastID, name, price, category, brand, stock });
         res.redirect('/admin/products');
@@ -1704,23 +2747,60 @@ app.post('/admin/products', ensureAdmin, async (req, res) => {
 // Edit product
 app.post('/admin/products/:id/edit', ensureAdmin, async (req, res) => {
     try {
-        const { name, description, price, category, brand, stock } = req.body;
+        const { name, description, price, stock, sku } = req.body;
         const oldProduct = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
 
-        let imageUrl = oldProduct.image_url;
+        if (req.files && req.files.image && !ProductImages.isImage(req.files.image)) {
+            return res.status(400).render('error', { 
+                message: 'Product images must be JPEG, PNG, GIF or WebP',
+                user: req.user || null 
+            });
+        }
+
+        if (sku && await db.get('SELECT id FROM products WHERE sku = ? AND id != ?', [sku, req.params.id])) {
+            return res.status(400).render('error', { 
+                message: `SKU ${sku} is already used by another product`,
+                user: req.user || null 
+            });
+        }
+
+        const sale = Sales.parseProductSale(req.body, price);
+        if (sale.error) {
+            return res.status(400).render('error', { 
+                message: sale.error,
+                user: req.user || null 
+            });
+        }
+
+        const { categoryId, category, brandId, brand } = await Taxonomy.resolveProductRefs(db, req.body.category_id, req.body.brand_id);
+
+        // A changed threshold is re-evaluated from scratch, so lowering it onto current stock alerts straight away
+        const lowStockThreshold = Inventory.parseThreshold(req.body.low_stock_threshold);
+        const lowStockAlerted = lowStockThreshold === oldProduct.low_stock_threshold ? oldProduct.low_stock_alerted : 0;
+
+        await Inventory.trackChange(db, req.params.id, { reason: 'admin_edit', adminId: req.user.id }, async () => {
+            await db.run(`
+                UPDATE products 
+                SET name = ?, description = ?, price = ?, category = ?, brand = ?, category_id = ?, brand_id = ?, stock = ?, sku = ?,
+                    low_stock_threshold = ?, low_stock_alerted = ?, weight_grams = ?, sale_price = ?, sale_starts_at = ?, sale_ends_at = ?,
+                    is_gift_card = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [name, description, price, category, brand, categoryId, brandId, stock, sku || null, lowStockThreshold, lowStockAlerted,
+                Shipping.parseWeight(req.body.weight_grams), ...sale.values, req.body.is_gift_card ? 1 : 0, req.params.id]);
+
+            // Products with variants take their stock from the variants, not the form
+            await Inventory.syncProductStock(db, req.params.id);
+        });
+
+        // A new main image is added to the gallery as the primary rather than replacing the old one
         if (req.files && req.files.image) {
-            const file = req.files.image;
-            const fileName = `product_${Date.now()}_${file.name.replace(/[^a-zA-Z0-9.]/g, '')}`;
-            const uploadPath = path.join(__dirname, 'public/uploads', fileName);
-            await file.mv(uploadPath);
-            imageUrl = `/uploads/${fileName}`;
+            const imageUrl = await ProductImages.saveUpload(req.files.image);
+            await ProductImages.add(db, oldProduct.id, imageUrl, name, { primary: true });
         }
 
-        await db.run(`
-            UPDATE products 
-            SET name = ?, description = ?, price = ?, category = ?, brand = ?, image_url = ?, stock = ?, updated_at = CURRENT_TIMESTAMP
-            WHERE id = ?
-        `, [name, description, price, category, brand, imageUrl, stock, req.params.id]);
+        ProductSearch.invalidate();
+        await checkStockAlerts([oldProduct.id]);
+        await notifyIfRestocked(req, oldProduct.id, oldProduct.stock);
 
         await discordLogger.logProductEdit(req.user, { name, price }, 'Product updated');
         res.redirect('/admin/products');
@@ -1738,6 +2818,7 @@ app.post('/admin/products/:id/delete', ensureAdmin, async (req, res) => {
     try {
         const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
         await db.run('DELETE FROM products WHERE id = ?', [req.params.id]);
+        ProductSearch.invalidate();
         await discordLogger.logProductDelete(req.user, product);
         res.json({ success: true });
     } catch (error) {
@@ -1746,18 +2827,1183 @@ app.post('/admin/products/:id/delete', ensureAdmin, async (req, res) => {
     }
 });
 
-// Admin orders page
-app.get('/admin/orders', ensureAdmin, async (req, res) => {
+// Brand or category a bulk sale applies to, from { scope: 'brand' | 'category', target_id }.
+// Returns { error } or { target, label }.
+async function saleTarget(body) {
+    const id = parseInt(body.target_id);
+    if (body.scope === 'brand') {
+        const brand = await db.get('SELECT * FROM brands WHERE id = ?', [id]);
+        return brand ? { target: { brandId: brand.id }, label: `brand ${brand.name}` } : { error: 'Brand not found' };
+    }
+    if (body.scope === 'category') {
+        const category = await db.get('SELECT * FROM categories WHERE id = ?', [id]);
+        return category ? { target: { categoryId: category.id }, label: `category ${category.name}` } : { error: 'Category not found' };
+    }
+    return { error: 'Choose a brand or a category' };
+}
+
+// Schedule a percentage-off sale across a brand or category
+app.post('/admin/sales', ensureAdmin, async (req, res) => {
     try {
-        const orders = await db.all(`
-            SELECT o.*, u.username, u.discord_id,
-                   (SELECT COUNT(*) FROM order_items WHERE order_id = o.id) as item_count,
-                   p.payment_proof, p.status as payment_status
-            FROM orders o
-            JOIN users u ON o.user_id = u.id
-            LEFT JOIN payments p ON o.id = p.order_id
-            ORDER BY o.created_at DESC
-        `);
+        const { target, label, error } = await saleTarget(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const percent = Number(req.body.percent);
+        if (!Number.isFinite(percent) || percent <= 0 || percent >= 100) {
+            return res.status(400).json({ error: 'Discount must be between 0 and 100%' });
+        }
+
+        const saleWindow = Sales.parseWindow(req.body);
+        if (saleWindow.error) {
+            return res.status(400).json({ error: saleWindow.error });
+        }
+
+        const count = await Sales.schedule(db, target, percent, saleWindow.startsAt, saleWindow.endsAt);
+        await discordLogger.logAdminAction(req.user, 'Scheduled sale',
+            `${percent}% off ${label} (${count} products) until ${saleWindow.endsAt} UTC`);
+        res.json({ success: true, count });
+    } catch (error) {
+        console.error('Schedule sale error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// End the sale on every product in a brand or category
+app.post('/admin/sales/clear', ensureAdmin, async (req, res) => {
+    try {
+        const { target, label, error } = await saleTarget(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const count = await Sales.clear(db, target);
+        await discordLogger.logAdminAction(req.user, 'Ended sale', `${label} (${count} products)`);
+        res.json({ success: true, count });
+    } catch (error) {
+        console.error('Clear sale error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Export catalogue as CSV
+app.get('/admin/products/export', ensureAdmin, async (req, res) => {
+    try {
+        const csv = await ProductTransfer.exportCsv(db);
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="products_${date}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        console.error('Export products error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Render the import page with defaults for anything not passed
+function renderImport(res, status, data = {}) {
+    res.status(status).render('admin/product-import', {
+        user: res.req.user,
+        columns: ProductTransfer.columns,
+        plan: null,
+        fileName: null,
+        error: null,
+        result: null,
+        ...data
+    });
+}
+
+// Import page
+app.get('/admin/products/import', ensureAdmin, (req, res) => {
+    delete req.session.productImport;
+    renderImport(res, 200);
+});
+
+// Upload an import file and preview it (dry run)
+app.post('/admin/products/import', ensureAdmin, async (req, res) => {
+    try {
+        if (!req.files || !req.files.file) {
+            return renderImport(res, 400, { error: 'Please choose a CSV file' });
+        }
+
+        const file = req.files.file;
+        const csv = file.data.toString('utf8');
+
+        let plan;
+        try {
+            plan = await ProductTransfer.plan(db, csv);
+        } catch (parseError) {
+            return renderImport(res, 400, { error: parseError.message, fileName: file.name });
+        }
+
+        // Keep the file until the admin confirms the preview
+        req.session.productImport = { fileName: file.name, csv };
+        renderImport(res, 200, { plan, fileName: file.name });
+    } catch (error) {
+        console.error('Import preview error:', error);
+        renderImport(res, 500, { error: 'Server error' });
+    }
+});
+
+// Commit a previewed import in a single transaction
+app.post('/admin/products/import/confirm', ensureAdmin, async (req, res) => {
+    const pending = req.session.productImport;
+    if (!pending) {
+        return renderImport(res, 400, { error: 'Nothing to import. Please upload the file again.' });
+    }
+
+    try {
+        // Re-validate: the catalogue may have changed since the preview
+        const plan = await ProductTransfer.plan(db, pending.csv);
+        if (plan.errors > 0) {
+            return renderImport(res, 400, { plan, fileName: pending.fileName, error: 'The file has errors. Fix them and upload it again.' });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        await ProductTransfer.apply(db, plan, { adminId: req.user.id, note: pending.fileName });
+        await db.run('COMMIT');
+
+        delete req.session.productImport;
+        ProductSearch.invalidate();
+
+        // Imported stock changes raise the same alerts as edits made in the form
+        const stockRows = plan.rows.filter(row => row.action === 'update' && row.changes.includes('stock'));
+        await checkStockAlerts(stockRows.map(row => row.product.id));
+        for (const row of stockRows) {
+            await notifyIfRestocked(req, row.product.id, row.product.stock);
+        }
+
+        await discordLogger.logAdminAction(
+            req.user,
+            'Imported products',
+            `${pending.fileName}: ${plan.creates} created, ${plan.updates} updated, ${plan.unchanged} unchanged`
+        );
+        renderImport(res, 200, { result: plan, fileName: pending.fileName });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Import products error:', error);
+        renderImport(res, 500, { error: 'Import failed. No products were changed.', fileName: pending.fileName });
+    }
+});
+
+// List product variants
+app.get('/admin/products/:id/variants', ensureAdmin, async (req, res) => {
+    try {
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const variants = await Inventory.getVariants(db, product.id);
+        res.json({ success: true, product, variants: variants || [] });
+    } catch (error) {
+        console.error('List variants error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add product variant
+app.post('/admin/products/:id/variants', ensureAdmin, async (req, res) => {
+    try {
+        const { size, color, sku, price, stock } = req.body;
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        if (!sku || (!size && !color)) {
+            return res.status(400).json({ error: 'SKU and a size or colour are required' });
+        }
+
+        const duplicate = await db.get(
+            'SELECT id FROM product_variants WHERE sku = ? OR (product_id = ? AND size IS ? AND color IS ?)',
+            [sku, product.id, size || null, color || null]
+        );
+        if (duplicate) {
+            return res.status(400).json({ error: 'A variant with this SKU or size/colour already exists' });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        const result = await db.run(`
+            INSERT INTO product_variants (product_id, size, color, sku, price, stock)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [product.id, size || null, color || null, sku, price || null, parseInt(stock) || 0]);
+        await Inventory.trackChange(db, product.id, { reason: 'variant_added', variantId: result.lastID, adminId: req.user.id }, () =>
+            Inventory.syncProductStock(db, product.id)
+        );
+        await db.run('COMMIT');
+
+        await checkStockAlerts([product.id]);
+        await notifyIfRestocked(req, product.id, product.stock);
+
+        await discordLogger.logProductEdit(req.user, product, `Variant added: ${sku} (${Inventory.variantLabel({ size, color })}), stock ${parseInt(stock) || 0}`);
+        res.json({ success: true, variantId: result.lastID });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Add variant error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit product variant
+app.post('/admin/variants/:id/edit', ensureAdmin, async (req, res) => {
+    try {
+        const { size, color, sku, price, stock } = req.body;
+        const variant = await db.get('SELECT * FROM product_variants WHERE id = ?', [req.params.id]);
+        if (!variant) {
+            return res.status(404).json({ error: 'Variant not found' });
+        }
+
+        if (!sku || (!size && !color)) {
+            return res.status(400).json({ error: 'SKU and a size or colour are required' });
+        }
+
+        const duplicate = await db.get(
+            'SELECT id FROM product_variants WHERE id != ? AND (sku = ? OR (product_id = ? AND size IS ? AND color IS ?))',
+            [variant.id, sku, variant.product_id, size || null, color || null]
+        );
+        if (duplicate) {
+            return res.status(400).json({ error: 'A variant with this SKU or size/colour already exists' });
+        }
+
+        const previous = await db.get('SELECT stock FROM products WHERE id = ?', [variant.product_id]);
+
+        await db.run('BEGIN TRANSACTION');
+        await Inventory.trackChange(db, variant.product_id, { reason: 'variant_updated', variantId: variant.id, adminId: req.user.id }, async () => {
+            await db.run(`
+                UPDATE product_variants 
+                SET size = ?, color = ?, sku = ?, price = ?, stock = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [size || null, color || null, sku, price || null, parseInt(stock) || 0, variant.id]);
+            await Inventory.syncProductStock(db, variant.product_id);
+        });
+        await db.run('COMMIT');
+
+        await checkStockAlerts([variant.product_id]);
+        await notifyIfRestocked(req, variant.product_id, previous.stock);
+
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [variant.product_id]);
+        await discordLogger.logProductEdit(req.user, product, `Variant updated: ${sku} (${Inventory.variantLabel({ size, color })}), stock ${variant.stock} → ${parseInt(stock) || 0}`);
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Edit variant error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete product variant
+app.post('/admin/variants/:id/delete', ensureAdmin, async (req, res) => {
+    try {
+        const variant = await db.get('SELECT * FROM product_variants WHERE id = ?', [req.params.id]);
+        if (!variant) {
+            return res.status(404).json({ error: 'Variant not found' });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        // The variant row is gone afterwards, so the movement keeps its SKU in the note
+        await Inventory.trackChange(db, variant.product_id, { reason: 'variant_deleted', adminId: req.user.id, note: variant.sku }, async () => {
+            await db.run('DELETE FROM product_variants WHERE id = ?', [variant.id]);
+            await Inventory.syncProductStock(db, variant.product_id);
+        });
+        await db.run('COMMIT');
+
+        await checkStockAlerts([variant.product_id]);
+
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [variant.product_id]);
+        await discordLogger.logProductEdit(req.user, product, `Variant deleted: ${variant.sku}`);
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Delete variant error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List product images
+app.get('/admin/products/:id/images', ensureAdmin, async (req, res) => {
+    try {
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        const images = await ProductImages.list(db, product.id);
+        res.json({ success: true, product, images: images || [] });
+    } catch (error) {
+        console.error('List images error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Upload product images
+app.post('/admin/products/:id/images', ensureAdmin, async (req, res) => {
+    try {
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.id]);
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+
+        if (!req.files || !req.files.images) {
+            return res.status(400).json({ error: 'Please choose at least one image' });
+        }
+
+        const files = [].concat(req.files.images);
+        const invalid = files.find(file => !ProductImages.isImage(file));
+        if (invalid) {
+            return res.status(400).json({ error: `${invalid.name} is not a JPEG, PNG, GIF or WebP image` });
+        }
+
+        const imageUrls = [];
+        for (const file of files) {
+            imageUrls.push(await ProductImages.saveUpload(file));
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        for (const imageUrl of imageUrls) {
+            await ProductImages.add(db, product.id, imageUrl, req.body.altText || product.name);
+        }
+        await db.run('COMMIT');
+
+        await discordLogger.logProductEdit(req.user, product, `${files.length} image(s) added to gallery`);
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Upload images error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Reorder product images
+app.post('/admin/products/:id/images/reorder', ensureAdmin, async (req, res) => {
+    try {
+        const { order } = req.body;
+        if (!Array.isArray(order)) {
+            return res.status(400).json({ error: 'Invalid image order' });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        await ProductImages.reorder(db, req.params.id, order.map(id => parseInt(id)));
+        await db.run('COMMIT');
+
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Reorder images error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit product image (alt text / primary flag)
+app.post('/admin/images/:id/edit', ensureAdmin, async (req, res) => {
+    try {
+        const { altText, isPrimary } = req.body;
+        const image = await db.get('SELECT * FROM product_images WHERE id = ?', [req.params.id]);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        await db.run('UPDATE product_images SET alt_text = ? WHERE id = ?', [altText || null, image.id]);
+        if (isPrimary && !image.is_primary) {
+            await ProductImages.setPrimary(db, image.product_id, image.id);
+        }
+        await db.run('COMMIT');
+
+        if (isPrimary && !image.is_primary) {
+            const product = await db.get('SELECT * FROM products WHERE id = ?', [image.product_id]);
+            await discordLogger.logProductEdit(req.user, product, 'Primary image changed');
+        }
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Edit image error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete product image
+app.post('/admin/images/:id/delete', ensureAdmin, async (req, res) => {
+    try {
+        const image = await db.get('SELECT * FROM product_images WHERE id = ?', [req.params.id]);
+        if (!image) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        await ProductImages.remove(db, image);
+        await db.run('COMMIT');
+
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [image.product_id]);
+        await discordLogger.logProductEdit(req.user, product, 'Image removed from gallery');
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Delete image error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin categories page
+app.get('/admin/categories', ensureAdmin, async (req, res) => {
+    try {
+        const categories = await Taxonomy.getCategoryTree(db);
+        for (const category of categories) {
+            category.tax_slabs = await GST.getSlabs(db, category.id);
+        }
+
+        res.render('admin/categories', { 
+            user: req.user, 
+            categories: categories || []
+        });
+    } catch (error) {
+        console.error('Admin categories error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Validate category form input; returns an error message or null
+async function validateCategory(body, categoryId = null) {
+    const name = (body.name || '').trim();
+    if (!name) {
+        return 'Category name is required';
+    }
+
+    const duplicate = await db.get('SELECT id FROM categories WHERE name = ? COLLATE NOCASE AND id IS NOT ?', [name, categoryId]);
+    if (duplicate) {
+        return 'A category with this name already exists';
+    }
+
+    if (body.parent_id) {
+        const parent = await db.get('SELECT id FROM categories WHERE id = ?', [body.parent_id]);
+        if (!parent) {
+            return 'Parent category not found';
+        }
+        if (categoryId && (await Taxonomy.getDescendantIds(db, categoryId)).includes(parent.id)) {
+            return 'A category cannot be nested inside itself';
+        }
+    }
+
+    if (body.hsn_code && !/^\d{4}(\d{2}){0,2}$/.test(body.hsn_code.trim())) {
+        return 'HSN code must be 4, 6 or 8 digits';
+    }
+    return GST.parseSlabs(body.tax_slabs).error || null;
+}
+
+// Add category
+app.post('/admin/categories', ensureAdmin, async (req, res) => {
+    try {
+        const validationError = await validateCategory(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const name = req.body.name.trim();
+        const slug = await Taxonomy.uniqueSlug(db, 'categories', req.body.slug || name);
+
+        await db.run('BEGIN TRANSACTION');
+        const result = await db.run(
+            'INSERT INTO categories (name, slug, parent_id, description, hsn_code) VALUES (?, ?, ?, ?, ?)',
+            [name, slug, req.body.parent_id || null, req.body.description || null, (req.body.hsn_code || '').trim() || null]
+        );
+        await GST.setSlabs(db, result.lastID, GST.parseSlabs(req.body.tax_slabs).slabs);
+        await db.run('COMMIT');
+
+        await discordLogger.logAdminAction(req.user, 'Added category', `${name} (/category/${slug})`);
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Add category error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit category
+app.post('/admin/categories/:id/edit', ensureAdmin, async (req, res) => {
+    try {
+        const category = await db.get('SELECT * FROM categories WHERE id = ?', [req.params.id]);
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        const validationError = await validateCategory(req.body, category.id);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const name = req.body.name.trim();
+        const slug = await Taxonomy.uniqueSlug(db, 'categories', req.body.slug || name, category.id);
+
+        await db.run('BEGIN TRANSACTION');
+        await db.run(
+            'UPDATE categories SET name = ?, slug = ?, parent_id = ?, description = ?, hsn_code = ? WHERE id = ?',
+            [name, slug, req.body.parent_id || null, req.body.description || null, (req.body.hsn_code || '').trim() || null, category.id]
+        );
+        await GST.setSlabs(db, category.id, GST.parseSlabs(req.body.tax_slabs).slabs);
+        await Taxonomy.syncProductNames(db);
+        await db.run('COMMIT');
+        ProductSearch.invalidate();
+
+        await discordLogger.logAdminAction(
+            req.user,
+            'Updated category',
+            category.name === name ? `${name} (/category/${slug})` : `${category.name} → ${name} (/category/${slug})`
+        );
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Edit category error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete category
+app.post('/admin/categories/:id/delete', ensureAdmin, async (req, res) => {
+    try {
+        const category = await db.get(`
+            SELECT c.*,
+                   (SELECT COUNT(*) FROM products WHERE category_id = c.id) as product_count,
+                   (SELECT COUNT(*) FROM categories WHERE parent_id = c.id) as child_count
+            FROM categories c WHERE c.id = ?
+        `, [req.params.id]);
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+
+        if (category.product_count > 0 || category.child_count > 0) {
+            return res.status(400).json({ error: 'Move this category\'s products and subcategories elsewhere before deleting it' });
+        }
+
+        await db.run('DELETE FROM categories WHERE id = ?', [category.id]);
+        await discordLogger.logAdminAction(req.user, 'Deleted category', category.name);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete category error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin brands page
+app.get('/admin/brands', ensureAdmin, async (req, res) => {
+    try {
+        const brands = await Taxonomy.getBrands(db);
+        res.render('admin/brands', { 
+            user: req.user, 
+            brands: brands || []
+        });
+    } catch (error) {
+        console.error('Admin brands error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Save an uploaded brand logo, returning its URL (or undefined when none was sent)
+async function saveBrandLogo(req) {
+    if (!req.files || !req.files.logo) return undefined;
+
+    const file = req.files.logo;
+    const fileName = `brand_${Date.now()}_${file.name.replace(/[^a-zA-Z0-9.]/g, '')}`;
+    await file.mv(path.join(__dirname, 'public/uploads', fileName));
+    return `/uploads/${fileName}`;
+}
+
+// Add brand
+app.post('/admin/brands', ensureAdmin, async (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Brand name is required' });
+        }
+        if (await db.get('SELECT id FROM brands WHERE name = ? COLLATE NOCASE', [name])) {
+            return res.status(400).json({ error: 'A brand with this name already exists' });
+        }
+        if (req.files && req.files.logo && !ProductImages.isImage(req.files.logo)) {
+            return res.status(400).json({ error: 'Logo must be a JPEG, PNG, GIF or WebP image' });
+        }
+
+        const logoUrl = await saveBrandLogo(req);
+        const slug = await Taxonomy.uniqueSlug(db, 'brands', req.body.slug || name);
+        await db.run(
+            'INSERT INTO brands (name, slug, logo_url, description) VALUES (?, ?, ?, ?)',
+            [name, slug, logoUrl || null, req.body.description || null]
+        );
+
+        await discordLogger.logAdminAction(req.user, 'Added brand', `${name} (/brand/${slug})`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Add brand error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit brand
+app.post('/admin/brands/:id/edit', ensureAdmin, async (req, res) => {
+    try {
+        const brand = await db.get('SELECT * FROM brands WHERE id = ?', [req.params.id]);
+        if (!brand) {
+            return res.status(404).json({ error: 'Brand not found' });
+        }
+
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Brand name is required' });
+        }
+        if (await db.get('SELECT id FROM brands WHERE name = ? COLLATE NOCASE AND id != ?', [name, brand.id])) {
+            return res.status(400).json({ error: 'A brand with this name already exists' });
+        }
+        if (req.files && req.files.logo && !ProductImages.isImage(req.files.logo)) {
+            return res.status(400).json({ error: 'Logo must be a JPEG, PNG, GIF or WebP image' });
+        }
+
+        const logoUrl = req.body.removeLogo ? null : (await saveBrandLogo(req)) || brand.logo_url;
+        const slug = await Taxonomy.uniqueSlug(db, 'brands', req.body.slug || name, brand.id);
+
+        await db.run('BEGIN TRANSACTION');
+        await db.run(
+            'UPDATE brands SET name = ?, slug = ?, logo_url = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [name, slug, logoUrl, req.body.description || null, brand.id]
+        );
+        await Taxonomy.syncProductNames(db);
+        await db.run('COMMIT');
+        ProductSearch.invalidate();
+
+        await discordLogger.logAdminAction(
+            req.user,
+            'Updated brand',
+            brand.name === name ? `${name} (/brand/${slug})` : `${brand.name} → ${name} (/brand/${slug})`
+        );
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Edit brand error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete brand
+app.post('/admin/brands/:id/delete', ensureAdmin, async (req, res) => {
+    try {
+        const brand = await db.get(`
+            SELECT b.*, (SELECT COUNT(*) FROM products WHERE brand_id = b.id) as product_count
+            FROM brands b WHERE b.id = ?
+        `, [req.params.id]);
+        if (!brand) {
+            return res.status(404).json({ error: 'Brand not found' });
+        }
+
+        if (brand.product_count > 0) {
+            return res.status(400).json({ error: 'Move this brand\'s products to another brand before deleting it' });
+        }
+
+        await db.run('DELETE FROM brands WHERE id = ?', [brand.id]);
+        await discordLogger.logAdminAction(req.user, 'Deleted brand', brand.name);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete brand error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin coupons page
+app.get('/admin/coupons', ensureAdmin, async (req, res) => {
+    try {
+        const coupons = await Coupons.list(db);
+        const products = await db.all('SELECT id, name FROM products ORDER BY name COLLATE NOCASE');
+        const categories = await Taxonomy.getCategoryTree(db);
+        const brands = await Taxonomy.getBrands(db);
+
+        res.render('admin/coupons', { 
+            user: req.user, 
+            coupons: coupons || [],
+            products: products || [],
+            categories: categories || [],
+            brands: brands || []
+        });
+    } catch (error) {
+        console.error('Admin coupons error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Validate coupon form input into the values to save; returns { error } or { values }
+async function validateCoupon(body, couponId = null) {
+    const code = Coupons.normalizeCode(body.code);
+    if (!/^[A-Z0-9_-]{3,30}$/.test(code)) {
+        return { error: 'Code must be 3-30 letters, digits, dashes or underscores' };
+    }
+    if (await db.get('SELECT id FROM coupons WHERE code = ? COLLATE NOCASE AND id IS NOT ?', [code, couponId])) {
+        return { error: 'A coupon with this code already exists' };
+    }
+
+    const discountType = body.discount_type === 'fixed' ? 'fixed' : 'percentage';
+    const discountValue = parseFloat(body.discount_value);
+    if (!(discountValue > 0) || (discountType === 'percentage' && discountValue > 100)) {
+        return { error: 'Enter a discount between 0 and 100% or a positive amount' };
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(body.valid_from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(body.valid_until || '')) {
+        return { error: 'Valid from and valid until dates are required' };
+    }
+    if (body.valid_until < body.valid_from) {
+        return { error: 'The coupon cannot end before it starts' };
+    }
+
+    const optionalNumber = value => (value === '' || value === undefined || value === null ? null : Number(value));
+
+    // Only keep restrictions that point at rows which still exist
+    const existingIds = async (table, value) => {
+        const ids = (Array.isArray(value) ? value : []).map(id => parseInt(id)).filter(Boolean);
+        if (ids.length === 0) return [];
+        const rows = await db.all(`SELECT id FROM ${table} WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+        return rows.map(row => row.id);
+    };
+
+    return {
+        values: {
+            code,
+            discountType,
+            discountValue,
+            minOrderAmount: optionalNumber(body.min_order_amount) || 0,
+            maxDiscount: optionalNumber(body.max_discount),
+            validFrom: `${body.valid_from} 00:00:00`,
+            validUntil: `${body.valid_until} 23:59:59`,
+            usageLimit: optionalNumber(body.usage_limit),
+            perUserLimit: optionalNumber(body.per_user_limit),
+            restrictions: {
+                productIds: await existingIds('products', body.product_ids),
+                categoryIds: await existingIds('categories', body.category_ids),
+                brandIds: await existingIds('brands', body.brand_ids)
+            }
+        }
+    };
+}
+
+// Add coupon
+app.post('/admin/coupons', ensureAdmin, async (req, res) => {
+    try {
+        const { error, values } = await validateCoupon(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        const result = await db.run(`
+            INSERT INTO coupons (code, discount_type, discount_value, min_order_amount, max_discount, valid_from, valid_until, usage_limit, per_user_limit)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [values.code, values.discountType, values.discountValue, values.minOrderAmount, values.maxDiscount,
+            values.validFrom, values.validUntil, values.usageLimit, values.perUserLimit]);
+        await Coupons.setRestrictions(db, result.lastID, values.restrictions);
+        await db.run('COMMIT');
+
+        await discordLogger.logAdminAction(req.user, 'Added coupon', values.code);
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Add coupon error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit coupon
+app.post('/admin/coupons/:id/edit', ensureAdmin, async (req, res) => {
+    try {
+        const coupon = await db.get('SELECT * FROM coupons WHERE id = ?', [req.params.id]);
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        const { error, values } = await validateCoupon(req.body, coupon.id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        await db.run(`
+            UPDATE coupons SET code = ?, discount_type = ?, discount_value = ?, min_order_amount = ?, max_discount = ?,
+                valid_from = ?, valid_until = ?, usage_limit = ?, per_user_limit = ?
+            WHERE id = ?
+        `, [values.code, values.discountType, values.discountValue, values.minOrderAmount, values.maxDiscount,
+            values.validFrom, values.validUntil, values.usageLimit, values.perUserLimit, coupon.id]);
+        await Coupons.setRestrictions(db, coupon.id, values.restrictions);
+        await db.run('COMMIT');
+
+        await discordLogger.logAdminAction(
+            req.user,
+            'Updated coupon',
+            coupon.code === values.code ? values.code : `${coupon.code} → ${values.code}`
+        );
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Edit coupon error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete coupon. Coupons already used on orders are kept so their redemptions stay on record.
+app.post('/admin/coupons/:id/delete', ensureAdmin, async (req, res) => {
+    try {
+        const coupon = await db.get(`
+            SELECT c.*, (SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = c.id) as redemption_count
+            FROM coupons c WHERE c.id = ?
+        `, [req.params.id]);
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        if (coupon.redemption_count > 0) {
+            return res.status(400).json({ error: 'This coupon has been used on orders; set its end date to today to retire it instead' });
+        }
+
+        await db.run('DELETE FROM coupons WHERE id = ?', [coupon.id]);
+        await discordLogger.logAdminAction(req.user, 'Deleted coupon', coupon.code);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete coupon error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin shipping page: zones and PIN codes we do not deliver to
+app.get('/admin/shipping', ensureAdmin, async (req, res) => {
+    try {
+        const zones = await Shipping.listZones(db);
+        const blocked = await db.all('SELECT * FROM non_serviceable_pincodes ORDER BY pincode_from');
+
+        res.render('admin/shipping', { 
+            user: req.user, 
+            zones: zones || [],
+            blocked: blocked || [],
+            defaultWeightGrams: Shipping.defaultWeightGrams,
+            formatRange: Shipping.formatRange
+        });
+    } catch (error) {
+        console.error('Admin shipping error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Validate zone form input into the values to save; returns { error } or { values, ranges }
+async function validateZone(body, zoneId = null) {
+    const name = (body.name || '').trim();
+    if (!name) {
+        return { error: 'Zone name is required' };
+    }
+    if (await db.get('SELECT id FROM shipping_zones WHERE name = ? COLLATE NOCASE AND id IS NOT ?', [name, zoneId])) {
+        return { error: 'A zone with this name already exists' };
+    }
+
+    const { ranges, error } = Shipping.parseRanges(body.ranges);
+    if (error) {
+        return { error };
+    }
+    if (ranges.length === 0) {
+        return { error: 'A zone needs at least one PIN code or range' };
+    }
+
+    const baseRate = parseFloat(body.base_rate);
+    const extraRate = parseFloat(body.extra_rate);
+    const baseWeight = parseInt(body.base_weight_grams);
+    const extraWeight = parseInt(body.extra_weight_grams);
+    if (!(baseRate >= 0) || !(extraRate >= 0) || !(baseWeight > 0) || !(extraWeight > 0)) {
+        return { error: 'Rates must be 0 or more and weights more than 0 g' };
+    }
+
+    const freeFrom = body.free_shipping_from === '' || body.free_shipping_from === undefined ? null : parseFloat(body.free_shipping_from);
+    if (freeFrom !== null && !(freeFrom >= 0)) {
+        return { error: 'Free shipping threshold must be 0 or more, or blank for never' };
+    }
+
+    const minDays = parseInt(body.min_days);
+    const maxDays = parseInt(body.max_days);
+    if (!(minDays >= 0) || !(maxDays >= minDays)) {
+        return { error: 'Delivery days must be 0 or more, with the maximum no less than the minimum' };
+    }
+
+    return {
+        values: [name, baseRate, baseWeight, extraRate, extraWeight, freeFrom, minDays, maxDays, body.cod_available ? 1 : 0],
+        ranges
+    };
+}
+
+// Add shipping zone
+app.post('/admin/shipping/zones', ensureAdmin, async (req, res) => {
+    try {
+        const { error, values, ranges } = await validateZone(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        const result = await db.run(`
+            INSERT INTO shipping_zones (name, base_rate, base_weight_grams, extra_rate, extra_weight_grams, free_shipping_from, min_days, max_days, cod_available)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, values);
+        await Shipping.setRanges(db, result.lastID, ranges);
+        await db.run('COMMIT');
+
+        await discordLogger.logAdminAction(req.user, 'Added shipping zone', values[0]);
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Add shipping zone error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Edit shipping zone
+app.post('/admin/shipping/zones/:id/edit', ensureAdmin, async (req, res) => {
+    try {
+        const zone = await db.get('SELECT * FROM shipping_zones WHERE id = ?', [req.params.id]);
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        const { error, values, ranges } = await validateZone(req.body, zone.id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        await db.run(`
+            UPDATE shipping_zones
+            SET name = ?, base_rate = ?, base_weight_grams = ?, extra_rate = ?, extra_weight_grams = ?,
+                free_shipping_from = ?, min_days = ?, max_days = ?, cod_available = ?
+            WHERE id = ?
+        `, [...values, zone.id]);
+        await Shipping.setRanges(db, zone.id, ranges);
+        await db.run('COMMIT');
+
+        await discordLogger.logAdminAction(req.user, 'Updated shipping zone', values[0]);
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Edit shipping zone error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete shipping zone
+app.post('/admin/shipping/zones/:id/delete', ensureAdmin, async (req, res) => {
+    try {
+        const zone = await db.get('SELECT * FROM shipping_zones WHERE id = ?', [req.params.id]);
+        if (!zone) {
+            return res.status(404).json({ error: 'Zone not found' });
+        }
+
+        await db.run('DELETE FROM shipping_zones WHERE id = ?', [zone.id]);
+        await discordLogger.logAdminAction(req.user, 'Deleted shipping zone', zone.name);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete shipping zone error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Stop delivering to a PIN code or range
+app.post('/admin/shipping/blocked', ensureAdmin, async (req, res) => {
+    try {
+        const { ranges, error } = Shipping.parseRanges(req.body.range);
+        if (error || ranges.length !== 1) {
+            return res.status(400).json({ error: error || 'Enter one PIN code or range' });
+        }
+
+        const [[from, to]] = ranges;
+        const reason = (req.body.reason || '').trim() || null;
+        await db.run('INSERT INTO non_serviceable_pincodes (pincode_from, pincode_to, reason) VALUES (?, ?, ?)', [from, to, reason]);
+
+        await discordLogger.logAdminAction(req.user, 'Blocked PIN codes', `${Shipping.formatRange({ pincode_from: from, pincode_to: to })}${reason ? ` - ${reason}` : ''}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Block PIN codes error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Deliver to a blocked PIN code or range again
+app.post('/admin/shipping/blocked/:id/delete', ensureAdmin, async (req, res) => {
+    try {
+        const blocked = await db.get('SELECT * FROM non_serviceable_pincodes WHERE id = ?', [req.params.id]);
+        if (!blocked) {
+            return res.status(404).json({ error: 'Blocked PIN code not found' });
+        }
+
+        await db.run('DELETE FROM non_serviceable_pincodes WHERE id = ?', [blocked.id]);
+        await discordLogger.logAdminAction(req.user, 'Unblocked PIN codes', Shipping.formatRange(blocked));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Unblock PIN codes error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Stock reconciliation: products whose stock disagrees with the sum of their movements
+app.get('/admin/inventory', ensureAdmin, async (req, res) => {
+    try {
+        const show = req.query.show === 'mismatched' ? 'mismatched' : 'all';
+        const products = await Inventory.reconcile(db);
+        const mismatched = products.filter(product => product.mismatched);
+
+        res.render('admin/inventory', { 
+            user: req.user, 
+            products: show === 'mismatched' ? mismatched : products,
+            mismatchedCount: mismatched.length,
+            totalCount: products.length,
+            show
+        });
+    } catch (error) {
+        console.error('Admin inventory error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Stock movement history of one product
+app.get('/admin/inventory/:productId', ensureAdmin, async (req, res) => {
+    try {
+        const product = await db.get('SELECT * FROM products WHERE id = ?', [req.params.productId]);
+        if (!product) {
+            return res.status(404).render('error', { 
+                message: 'Product not found',
+                user: req.user || null 
+            });
+        }
+
+        const limit = 50;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const totals = await db.get(
+            'SELECT COUNT(*) as count, COALESCE(SUM(delta), 0) as ledger_stock FROM stock_movements WHERE product_id = ?',
+            [product.id]
+        );
+        const movements = await Inventory.getMovements(db, product.id, { limit, offset: (page - 1) * limit });
+
+        res.render('admin/inventory-history', { 
+            user: req.user, 
+            product,
+            movements,
+            variants: await Inventory.getVariants(db, product.id),
+            ledgerStock: totals.ledger_stock,
+            reasons: Inventory.movementReasons,
+            page,
+            totalPages: Math.max(Math.ceil(totals.count / limit), 1)
+        });
+    } catch (error) {
+        console.error('Admin stock history error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Admin review moderation queue
+app.get('/admin/reviews', ensureAdmin, async (req, res) => {
+    try {
+        const status = Reviews.moderationStatuses.includes(req.query.status) || req.query.status === 'all'
+            ? req.query.status
+            : 'pending';
+
+        const reviews = await db.all(`
+            SELECT r.*, u.username, p.name as product_name, m.username as moderator_name
+            FROM reviews r
+            JOIN users u ON r.user_id = u.id
+            JOIN products p ON r.product_id = p.id
+            LEFT JOIN users m ON r.moderated_by = m.id
+            ${status === 'all' ? '' : 'WHERE r.status = ?'}
+            ORDER BY r.updated_at DESC, r.id DESC
+            LIMIT 200
+        `, status === 'all' ? [] : [status]);
+
+        const counts = await db.all('SELECT status, COUNT(*) as count FROM reviews GROUP BY status');
+
+        res.render('admin/reviews', { 
+            user: req.user, 
+            reviews: reviews || [],
+            status,
+            counts: Object.fromEntries(counts.map(row => [row.status, row.count]))
+        });
+    } catch (error) {
+        console.error('Admin reviews error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Moderate review
+app.post('/admin/reviews/:id/moderate', ensureAdmin, async (req, res) => {
+    try {
+        const { action, note } = req.body;
+        const actions = {
+            approve: { status: 'approved', label: 'Approved review' },
+            hide: { status: 'hidden', label: 'Hid review' },
+            restore: { status: 'approved', label: 'Restored review' }
+        };
+        if (!actions[action]) {
+            return res.status(400).json({ error: 'Invalid moderation action' });
+        }
+
+        const review = await db.get(`
+            SELECT r.*, u.username, p.name as product_name
+            FROM reviews r
+            JOIN users u ON r.user_id = u.id
+            JOIN products p ON r.product_id = p.id
+            WHERE r.id = ?
+        `, [req.params.id]);
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        await db.run(
+            'UPDATE reviews SET status = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP, moderation_note = ? WHERE id = ?',
+            [actions[action].status, req.user.id, note || null, review.id]
+        );
+
+        await discordLogger.logAdminAction(
+            req.user,
+            actions[action].label,
+            `Review #${review.id} (${review.rating}★) by ${review.username} on ${review.product_name}${note ? `\nNote: ${note}` : ''}`
+        );
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Moderate review error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin orders page
+app.get('/admin/orders', ensureAdmin, async (req, res) => {
+    try {
+        const orders = await db.all(`
+            SELECT o.*, u.username, u.discord_id,
+                   (SELECT COUNT(*) FROM order_items WHERE order_id = o.id) as item_count,
+                   p.payment_proof, p.status as payment_status,
+                   (p.reused_utr IS NOT NULL OR EXISTS (SELECT 1 FROM payments other WHERE other.reused_utr = p.upi_transaction_id)) as utr_reused
+            FROM orders o
+            JOIN users u ON o.user_id = u.id
+            LEFT JOIN payments p ON o.id = p.order_id
+            ORDER BY o.created_at DESC
+        `);
 
         res.render('admin/orders', { user: req.user, orders: orders || [] });
     } catch (error) {
@@ -1776,9 +4022,18 @@ app.post('/admin/orders/:id/status', ensureAdmin, async (req, res) => {
         const order = await db.get('SELECT * FROM orders WHERE id = ?', [req.params.id]);
         const oldStatus = order.status;
 
+        // Refund statuses follow from the refunds recorded, and a paid order is refunded rather than cancelled
+        if (['refunded', 'partially_refunded'].includes(status)) {
+            return res.status(400).json({ error: 'Record a refund to change an order to refunded' });
+        }
+        const payment = await db.get('SELECT * FROM payments WHERE order_id = ?', [order.id]);
+        if (status === 'cancelled' && payment && ['completed', 'partially_refunded'].includes(payment.status)) {
+            return res.status(400).json({ error: 'This order has been paid. Refund it instead of cancelling it.' });
+        }
+
         await db.run('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, req.params.id]);
 
-        await discordLogger.logOrderUpdate(req.user, order, oldStatus, status);
+        await discordLogger.logOrderUpdate(req.user, order, oldStatus, status, 'admin');
         res.json({ success: true });
     } catch (error) {
         console.error('Update order status error:', error);
@@ -1786,6 +4041,36 @@ app.post('/admin/orders/:id/status', ensureAdmin, async (req, res) => {
     }
 });
 
+// Mark a pending payment received and its order completed. Admin verification of the proof, statement
+// reconciliation and payment gateway events all go through here. Returns false if the payment was
+// no longer pending.
+async function completeOrderPayment(order, payment, { upiTransactionId = null, transactionReference = null } = {}) {
+    await db.run('BEGIN TRANSACTION');
+    const result = await db.run(`
+        UPDATE payments SET status = 'completed', upi_transaction_id = COALESCE(?, upi_transaction_id), transaction_reference = COALESCE(?, transaction_reference)
+        WHERE id = ? AND status = 'pending'
+    `, [upiTransactionId || null, transactionReference, payment.id]);
+    if (result.changes === 0) {
+        await db.run('ROLLBACK');
+        return false;
+    }
+    await db.run("UPDATE orders SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = ?", [order.id]);
+    await db.run('COMMIT');
+
+    const user = await db.get('SELECT * FROM users WHERE id = ?', [order.user_id]);
+    const shippingDetails = {
+        phone: order.phone,
+        city: order.city,
+        pincode: order.pincode,
+        fullAddress: order.shipping_address
+    };
+
+    await issueGiftCards(order.id);
+    await discordLogger.logPaymentSuccess(user, payment, payment.payment_proof, upiTransactionId || payment.upi_transaction_id, shippingDetails);
+    await discordLogger.logOrderComplete(user, order, shippingDetails);
+    return true;
+}
+
 // Verify payment proof
 app.post('/admin/orders/:id/verify-payment', ensureAdmin, async (req, res) => {
     try {
@@ -1795,33 +4080,35 @@ app.post('/admin/orders/:id/verify-payment', ensureAdmin, async (req, res) => {
         const user = await db.get('SELECT * FROM users WHERE id = ?', [order.user_id]);
         
         if (status === 'completed') {
-            await db.run('BEGIN TRANSACTION');
-            await db.run('UPDATE orders SET status = "completed", updated_at = CURRENT_TIMESTAMP WHERE id = ?', [req.params.id]);
-            await db.run('UPDATE payments SET status = "completed", upi_transaction_id = ? WHERE order_id = ?', [upiTransactionId || null, req.params.id]);
-            await db.run('COMMIT');
-            
-            const shippingDetails = {
-                phone: order.phone,
-                city: order.city,
-                pincode: order.pincode,
-                fullAddress: order.shipping_address
-            };
-            
-            await discordLogger.logPaymentSuccess(user, payment, payment.payment_proof, upiTransactionId, shippingDetails);
-            await discordLogger.logOrderComplete(user, order, shippingDetails);
+            // A UTR typed in here replaces the one the customer sent, and is held to the same rules
+            const utr = upiTransactionId ? PaymentProofs.normalizeUtr(upiTransactionId) : null;
+            if (upiTransactionId && !utr) {
+                return res.status(400).json({ error: 'A UTR is 12 digits' });
+            }
+            if (utr && await PaymentProofs.utrPayment(db, utr, payment.id)) {
+                return res.status(400).json({ error: 'This UTR is already recorded on another payment' });
+            }
+            if (!await completeOrderPayment(order, payment, { upiTransactionId: utr })) {
+                return res.status(400).json({ error: 'This payment is no longer awaiting verification' });
+            }
             res.json({ success: true });
             
         } else if (status === 'failed') {
             await db.run('BEGIN TRANSACTION');
+            // Conditional, so a payment completed, expired or already rejected in the meantime is left alone
+            const result = await db.run("UPDATE payments SET status = 'failed' WHERE id = ? AND status = 'pending'", [payment.id]);
+            if (result.changes === 0) {
+                await db.run('ROLLBACK');
+                return res.status(400).json({ error: 'This payment is no longer awaiting verification' });
+            }
             await db.run('UPDATE orders SET status = "cancelled" WHERE id = ?', [req.params.id]);
-            await db.run('UPDATE payments SET status = "failed" WHERE order_id = ?', [req.params.id]);
             
-            const orderItems = await db.all('SELECT * FROM order_items WHERE order_id = ?', [req.params.id]);
-            for (const item of orderItems) {
-                await db.run('UPDATE products SET stock = stock + ? WHERE id = ?', [item.quantity, item.product_id]);
-            }
+            const orderItems = await Inventory.restoreOrderStock(db, req.params.id, { reason: 'payment_rejected', adminId: req.user.id });
+            await Coupons.release(db, req.params.id);
+            await Wallet.refundOrder(db, req.params.id, `Order ${order.order_number} payment rejected`);
             
             await db.run('COMMIT');
+            await checkStockAlerts(orderItems.map(item => item.product_id));
             await discordLogger.logPaymentFailed(user, payment, 'Payment rejected by admin');
             res.json({ success: true });
         }
@@ -1832,6 +4119,166 @@ app.post('/admin/orders/:id/verify-payment', ensureAdmin, async (req, res) => {
     }
 });
 
+// COD order whose cash is still to be collected, or an error message
+async function pendingCodOrder(orderId) {
+    const order = await db.get('SELECT * FROM orders WHERE id = ?', [orderId]);
+    const payment = await db.get('SELECT * FROM payments WHERE order_id = ?', [orderId]);
+    if (!order || !payment || payment.payment_method !== CashOnDelivery.method) {
+        return { error: 'Cash on Delivery order not found' };
+    }
+    if (payment.status !== 'pending' || ['cancelled', 'refused'].includes(order.status)) {
+        return { error: 'This order has no cash left to collect' };
+    }
+    return { order, payment };
+}
+
+// Record the cash a courier collected for a COD order, which completes its payment
+app.post('/admin/orders/:id/cod-collected', ensureAdmin, async (req, res) => {
+    try {
+        const { order, payment, error } = await pendingCodOrder(req.params.id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (Pricing.toPaise(req.body.amount) !== Pricing.toPaise(payment.amount)) {
+            return res.status(400).json({ error: `The courier should have collected ₹${Pricing.format(Pricing.toPaise(payment.amount))}` });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        const result = await db.run(`
+            UPDATE payments SET status = 'completed', collected_amount = ?, collected_by = ?, collected_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `, [payment.amount, req.user.id, payment.id]);
+        if (result.changes === 0) {
+            await db.run('ROLLBACK');
+            return res.status(400).json({ error: 'This order has no cash left to collect' });
+        }
+        await db.run("UPDATE orders SET status = 'completed', updated_at = CURRENT_TIMESTAMP WHERE id = ?", [order.id]);
+        await db.run('COMMIT');
+
+        const user = await db.get('SELECT * FROM users WHERE id = ?', [order.user_id]);
+        const shippingDetails = {
+            phone: order.phone,
+            city: order.city,
+            pincode: order.pincode,
+            fullAddress: order.shipping_address
+        };
+
+        await issueGiftCards(order.id);
+        await discordLogger.logPaymentSuccess(user, payment, null, null, shippingDetails);
+        await discordLogger.logOrderComplete(user, order, shippingDetails);
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('COD collection error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// The customer refused a COD parcel: it comes back into stock and counts against their COD eligibility
+app.post('/admin/orders/:id/cod-refused', ensureAdmin, async (req, res) => {
+    try {
+        const { order, payment, error } = await pendingCodOrder(req.params.id);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        await db.run("UPDATE orders SET status = 'refused', updated_at = CURRENT_TIMESTAMP WHERE id = ?", [order.id]);
+        await db.run("UPDATE payments SET status = 'failed' WHERE id = ?", [payment.id]);
+
+        const orderItems = await Inventory.restoreOrderStock(db, order.id, { reason: 'delivery_refused', adminId: req.user.id });
+        await Coupons.release(db, order.id);
+        await Wallet.refundOrder(db, order.id, `Order ${order.order_number} refused on delivery`);
+
+        await db.run('COMMIT');
+        await checkStockAlerts(orderItems.map(item => item.product_id));
+
+        const user = await db.get('SELECT * FROM users WHERE id = ?', [order.user_id]);
+        await discordLogger.logPaymentFailed(user, payment, 'Cash on Delivery parcel refused');
+        await discordLogger.logOrderUpdate(req.user, order, order.status, 'refused', 'admin');
+        res.json({ success: true });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('COD refusal error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Refunds of a paid order
+app.get('/admin/orders/:id/refunds', ensureAdmin, async (req, res) => {
+    try {
+        const order = await db.get(`
+            SELECT o.*, u.username, u.email
+            FROM orders o
+            JOIN users u ON o.user_id = u.id
+            WHERE o.id = ?
+        `, [req.params.id]);
+        if (!order) {
+            return res.status(404).render('error', { 
+                message: 'Order not found',
+                user: req.user || null 
+            });
+        }
+
+        const payment = await db.get('SELECT * FROM payments WHERE order_id = ?', [order.id]);
+        res.render('admin/refunds', {
+            user: req.user,
+            order,
+            payment: payment || null,
+            summary: await Refunds.summary(db, order, payment),
+            refunds: await Refunds.listForOrder(db, order.id),
+            methods: Refunds.methods
+        });
+    } catch (error) {
+        console.error('Admin refunds error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user || null 
+        });
+    }
+});
+
+// Refund all that is left of an order (full) or some of its items
+app.post('/admin/orders/:id/refunds', ensureAdmin, async (req, res) => {
+    try {
+        const { full, items, method } = req.body;
+        const reason = (req.body.reason || '').trim();
+        const reference = (req.body.reference || '').trim() || null;
+        if (!reason) {
+            return res.status(400).json({ error: 'Give a reason for the refund' });
+        }
+        if (!Refunds.methods[method]) {
+            return res.status(400).json({ error: 'Choose how the money goes back' });
+        }
+
+        const order = await db.get('SELECT * FROM orders WHERE id = ?', [req.params.id]);
+        const payment = order && await db.get('SELECT * FROM payments WHERE order_id = ?', [order.id]);
+        if (!payment) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        await db.run('BEGIN TRANSACTION');
+        const plan = await Refunds.plan(db, order, payment, { full: !!full, items });
+        if (plan.error) {
+            await db.run('ROLLBACK');
+            return res.status(400).json({ error: plan.error });
+        }
+        const { refundId, status } = await Refunds.create(db, order, payment, plan, { reason, method, reference, adminId: req.user.id });
+        await db.run('COMMIT');
+
+        const customer = await db.get('SELECT * FROM users WHERE id = ?', [order.user_id]);
+        const refund = (await Refunds.listForOrder(db, order.id)).find(row => row.id === refundId);
+        await discordLogger.logPaymentRefund(req.user, customer, order, refund);
+        await discordLogger.logOrderUpdate(req.user, order, order.status, status, 'admin');
+        res.json({ success: true, status });
+    } catch (error) {
+        await db.run('ROLLBACK');
+        console.error('Refund error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // View payment proof
 app.get('/admin/payment-proof/:orderId', ensureAdmin, async (req, res) => {
     try {
@@ -1850,7 +4297,8 @@ app.get('/admin/payment-proof/:orderId', ensureAdmin, async (req, res) => {
             user: req.user, 
             payment, 
             order, 
-            customer: user 
+            customer: user,
+            checks: await PaymentProofs.review(db, payment)
         });
     } catch (error) {
         console.error('View payment proof error:', error);
@@ -1861,6 +4309,161 @@ app.get('/admin/payment-proof/:orderId', ensureAdmin, async (req, res) => {
     }
 });
 
+// Statement reconciliation: unmatched credits and recent imports
+app.get('/admin/payments/reconciliation', ensureAdmin, async (req, res) => {
+    try {
+        await renderReconciliation(res, 200);
+    } catch (error) {
+        console.error('Reconciliation page error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user 
+        });
+    }
+});
+
+async function renderReconciliation(res, status, data = {}) {
+    const imports = await db.all(`
+        SELECT i.*, u.username as admin_name
+        FROM statement_imports i
+        LEFT JOIN users u ON i.admin_id = u.id
+        ORDER BY i.id DESC LIMIT 10
+    `);
+    const matched = await db.all(`
+        SELECT e.*, o.order_number
+        FROM statement_entries e
+        JOIN orders o ON e.order_id = o.id
+        WHERE e.status = 'matched'
+        ORDER BY COALESCE(e.resolved_at, e.created_at) DESC, e.id DESC LIMIT 20
+    `);
+
+    res.status(status).render('admin/reconciliation', {
+        user: res.req.user,
+        exceptions: await Reconciliation.exceptions(db),
+        imports,
+        matched,
+        error: null,
+        result: null,
+        ...data
+    });
+}
+
+// Import a bank/UPI statement CSV: credits that name a pending order (or its UTR) for the amount due
+// complete its payment, the rest become exceptions
+app.post('/admin/payments/reconciliation', ensureAdmin, async (req, res) => {
+    try {
+        if (!req.files || !req.files.statement) {
+            return renderReconciliation(res, 400, { error: 'Please choose a statement CSV file' });
+        }
+
+        const file = req.files.statement;
+        const { entries, error } = Reconciliation.parse(file.data.toString('utf8'));
+        if (error) {
+            return renderReconciliation(res, 400, { error });
+        }
+
+        const importResult = await db.run('INSERT INTO statement_imports (file_name, admin_id) VALUES (?, ?)', [file.name, req.user.id]);
+        const importId = importResult.lastID;
+        const result = { fileName: file.name, entries: entries.length, matched: 0, exceptions: 0, duplicates: 0 };
+
+        for (const entry of entries) {
+            if (await Reconciliation.isDuplicate(db, entry)) {
+                result.duplicates++;
+                continue;
+            }
+
+            const match = await Reconciliation.match(db, entry);
+            let status = 'exception';
+            if (match.payment) {
+                if (await completeOrderPayment(match.order, match.payment, { upiTransactionId: entry.utr })) {
+                    status = 'matched';
+                } else {
+                    match.reason = `Order ${match.order.order_number} was paid while the statement was being imported`;
+                }
+            }
+            await Reconciliation.record(db, importId, entry, status, match);
+            result[status === 'matched' ? 'matched' : 'exceptions']++;
+        }
+
+        await db.run('UPDATE statement_imports SET entries = ?, matched = ?, exceptions = ?, duplicates = ? WHERE id = ?',
+            [result.entries, result.matched, result.exceptions, result.duplicates, importId]);
+
+        await discordLogger.logAdminAction(
+            req.user,
+            'Imported payment statement',
+            `${file.name}: ${result.matched} matched, ${result.exceptions} exceptions, ${result.duplicates} already imported`
+        );
+        await renderReconciliation(res, 200, { result });
+    } catch (error) {
+        console.error('Statement import error:', error);
+        res.status(500).render('error', { 
+            message: 'Server error',
+            user: req.user 
+        });
+    }
+});
+
+// Match an exception to an order by hand; the order must still be awaiting exactly that amount
+app.post('/admin/payments/reconciliation/entries/:id/match', ensureAdmin, async (req, res) => {
+    try {
+        const entry = await db.get("SELECT * FROM statement_entries WHERE id = ? AND status = 'exception'", [req.params.id]);
+        if (!entry) {
+            return res.status(404).json({ error: 'Exception not found' });
+        }
+
+        const orderNumber = String(req.body.orderNumber || '').trim().toUpperCase();
+        const order = await db.get('SELECT * FROM orders WHERE order_number = ?', [orderNumber]);
+        if (!order) {
+            return res.status(400).json({ error: `No order ${orderNumber}` });
+        }
+
+        const { payment, reason } = await Reconciliation.checkOrder(db, order, Pricing.toPaise(entry.amount), entry.utr);
+        if (!payment) {
+            return res.status(400).json({ error: reason });
+        }
+
+        const result = await db.run(`
+            UPDATE statement_entries SET status = 'matched', reason = NULL, order_id = ?, payment_id = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'exception'
+        `, [order.id, payment.id, req.user.id, entry.id]);
+        if (result.changes === 0) {
+            return res.status(400).json({ error: 'This exception has already been resolved' });
+        }
+        if (!await completeOrderPayment(order, payment, { upiTransactionId: entry.utr })) {
+            await db.run(`
+                UPDATE statement_entries SET status = 'exception', reason = ?, order_id = ?, payment_id = NULL, resolved_by = NULL, resolved_at = NULL
+                WHERE id = ?
+            `, [entry.reason, entry.order_id, entry.id]);
+            return res.status(400).json({ error: `Order ${order.order_number} is no longer awaiting payment` });
+        }
+
+        await discordLogger.logAdminAction(req.user, 'Matched statement credit', `₹${entry.amount} (UTR ${entry.utr || 'none'}) to order ${order.order_number}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Statement match error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Set aside an exception that is not a customer payment (a refund reversal, interest, a transfer)
+app.post('/admin/payments/reconciliation/entries/:id/dismiss', ensureAdmin, async (req, res) => {
+    try {
+        const result = await db.run(`
+            UPDATE statement_entries SET status = 'dismissed', reason = COALESCE(?, reason), resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'exception'
+        `, [String(req.body.note || '').trim() || null, req.user.id, req.params.id]);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Exception not found' });
+        }
+
+        await discordLogger.logAdminAction(req.user, 'Dismissed statement credit', `Entry #${req.params.id}${req.body.note ? `: ${req.body.note}` : ''}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Statement dismiss error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // Backup database
 app.get('/admin/backup', ensureAdmin, async (req, res) => {
     try {
@@ -1890,8 +4493,11 @@ app.post('/admin/restore', ensureAdmin, async (req, res) => {
         const dbPath = path.join(__dirname, 'website.db');
         
         await db.close();
+        await jobDb.close();
         await file.mv(dbPath);
         db = await setupDatabase();
+        jobDb = await openDatabase();
+        ProductSearch.invalidate();
 
         res.json({ success: true });
     } catch (error) {
@@ -1900,6 +4506,80 @@ app.post('/admin/restore', ensureAdmin, async (req, res) => {
     }
 });
 
+// ==================== SCHEDULED JOBS ====================
+
+// Cancel one unpaid order whose payment window has closed and put its stock back. The changes go
+// through the jobs' own connection; IMMEDIATE takes the write lock up front, waiting for any
+// request's transaction to finish first.
+async function expireUnpaidOrder(order) {
+    await jobDb.run('BEGIN IMMEDIATE TRANSACTION');
+    let orderItems;
+    try {
+        if (!await OrderExpiry.cancel(jobDb, order)) {
+            await jobDb.run('ROLLBACK');
+            return;
+        }
+        orderItems = await Inventory.restoreOrderStock(jobDb, order.id, { reason: 'order_expired' });
+        await Coupons.release(jobDb, order.id);
+        await Wallet.refundOrder(jobDb, order.id, `Order ${order.order_number} expired unpaid`);
+        await jobDb.run('COMMIT');
+    } catch (error) {
+        await jobDb.run('ROLLBACK');
+        throw error;
+    }
+
+    await checkStockAlerts(orderItems.map(item => item.product_id));
+    const customer = { id: order.user_id, username: order.username, discord_id: order.discord_id };
+    await Notifications.create(db, order.user_id, {
+        type: 'order_expired',
+        title: `Order ${order.order_number} was cancelled`,
+        message: 'It was not paid in time, so its items have been released.',
+        link: `/order/${order.id}`
+    });
+    await discordLogger.logOrderUpdate(customer, order, 'pending', 'cancelled', 'system');
+}
+
+// Remind customers whose unpaid orders are about to expire, then cancel the ones that have.
+// One order failing does not stop the rest; a run still going when the next is due is not overlapped.
+let orderExpiryRunning = false;
+async function runOrderExpiry() {
+    if (!jobDb || orderExpiryRunning) return;
+    orderExpiryRunning = true;
+    try {
+        for (const order of await OrderExpiry.dueForReminder(db)) {
+            try {
+                const expiresAt = OrderExpiry.expiresAt(order);
+                const customer = { id: order.user_id, username: order.username, discord_id: order.discord_id };
+                await OrderExpiry.markReminded(db, order);
+                await Notifications.create(db, order.user_id, {
+                    type: 'payment_reminder',
+                    title: `Order ${order.order_number} is waiting for payment`,
+                    message: `Pay ₹${Number(order.amount_due).toFixed(2)} by ${expiresAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' })} or the order will be cancelled.`,
+                    link: `/order/${order.id}`
+                });
+                await discordLogger.notifyPaymentReminder(customer, order, order.amount_due, expiresAt);
+            } catch (error) {
+                console.error(`Payment reminder error (order ${order.order_number}):`, error);
+            }
+        }
+
+        for (const order of await OrderExpiry.due(db)) {
+            try {
+                await expireUnpaidOrder(order);
+            } catch (error) {
+                console.error(`Order expiry error (order ${order.order_number}):`, error);
+                await discordLogger.logError(error, { location: `order expiry (${order.order_number})` });
+            }
+        }
+    } catch (error) {
+        console.error('Order expiry error:', error);
+    } finally {
+        orderExpiryRunning = false;
+    }
+}
+
+setInterval(runOrderExpiry, OrderExpiry.checkIntervalMinutes * 60 * 1000);
+
 // ==================== ERROR HANDLING ====================
 
 // 404 handler
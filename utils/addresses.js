@@ -0,0 +1,98 @@
+const Pincodes = require('./pincodes');
+
+// Customers' saved delivery addresses. Each user has at most one default, which checkout
+// preselects; orders copy the address they were placed with, so editing or deleting one
+// here never changes an order.
+class Addresses {
+    static async list(db, userId) {
+        return db.all('SELECT * FROM addresses WHERE user_id = ? ORDER BY is_default DESC, updated_at DESC, id DESC', [userId]);
+    }
+
+    static async get(db, userId, addressId) {
+        return db.get('SELECT * FROM addresses WHERE id = ? AND user_id = ?', [addressId, userId]);
+    }
+
+    // Address form input. Returns { error } or { values }. The state is filled in from the
+    // PIN code when left blank, and must agree with it when given.
+    static parse(body) {
+        const field = name => String(body[name] || '').trim();
+        const values = {
+            label: field('label') || null,
+            recipient_name: field('recipient_name'),
+            line1: field('line1'),
+            line2: field('line2') || null,
+            city: field('city'),
+            state: field('state'),
+            pincode: field('pincode'),
+            phone: field('phone')
+        };
+
+        if (!values.recipient_name || !values.line1 || !values.city) {
+            return { error: 'Recipient name, address line 1 and city are required' };
+        }
+        if (!/^[0-9]{10}$/.test(values.phone)) {
+            return { error: 'Phone number must be 10 digits' };
+        }
+
+        const state = Pincodes.stateFor(values.pincode);
+        if (!state) {
+            return { error: `We could not recognise the PIN code "${values.pincode}"` };
+        }
+        if (values.state && values.state.toLowerCase() !== state.toLowerCase()) {
+            return { error: `PIN code ${values.pincode} is in ${state}, not ${values.state}` };
+        }
+        values.state = state;
+
+        return { values };
+    }
+
+    // Save a new address; a user's first address becomes their default. Returns its id.
+    static async create(db, userId, values, makeDefault = false) {
+        const existing = await db.get('SELECT COUNT(*) as count FROM addresses WHERE user_id = ?', [userId]);
+        const result = await db.run(`
+            INSERT INTO addresses (user_id, label, recipient_name, line1, line2, city, state, pincode, phone)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [userId, values.label, values.recipient_name, values.line1, values.line2, values.city, values.state, values.pincode, values.phone]);
+
+        if (makeDefault || existing.count === 0) {
+            await this.setDefault(db, userId, result.lastID);
+        }
+        return result.lastID;
+    }
+
+    static async update(db, userId, addressId, values) {
+        await db.run(`
+            UPDATE addresses
+            SET label = ?, recipient_name = ?, line1 = ?, line2 = ?, city = ?, state = ?, pincode = ?, phone = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ?
+        `, [values.label, values.recipient_name, values.line1, values.line2, values.city, values.state, values.pincode, values.phone,
+            addressId, userId]);
+    }
+
+    static async setDefault(db, userId, addressId) {
+        await db.run('UPDATE addresses SET is_default = (id = ?) WHERE user_id = ?', [addressId, userId]);
+    }
+
+    // Delete an address; if it was the default, the most recently updated one left takes over
+    static async remove(db, userId, addressId) {
+        const address = await this.get(db, userId, addressId);
+        if (!address) return false;
+
+        await db.run('DELETE FROM addresses WHERE id = ?', [address.id]);
+        if (address.is_default) {
+            const next = await db.get('SELECT id FROM addresses WHERE user_id = ? ORDER BY updated_at DESC, id DESC LIMIT 1', [userId]);
+            if (next) {
+                await this.setDefault(db, userId, next.id);
+            }
+        }
+        return true;
+    }
+
+    // One line for order records, logs and the admin order views
+    static format(address) {
+        return [address.line1, address.line2, address.city, `${address.state} - ${address.pincode}`].filter(Boolean).join(', ');
+    }
+}
+
+module.exports = Addresses;
@@ -0,0 +1,235 @@
+const ProductSearch = require('./search');
+const Sales = require('./sales');
+const Taxonomy = require('./taxonomy');
+
+// Price filters and sorting go by what a product sells for now, sale included
+const CURRENT_PRICE = Sales.priceSql('p');
+
+const SORT_ORDERS = {
+    newest: 'p.created_at DESC, p.id DESC',
+    'price-low': `${CURRENT_PRICE} ASC, p.id DESC`,
+    'price-high': `${CURRENT_PRICE} DESC, p.id DESC`,
+    'best-selling': 'units_sold DESC, p.created_at DESC',
+    'top-rated': 'avg_rating DESC, review_count DESC, p.created_at DESC',
+    name: 'p.name COLLATE NOCASE ASC'
+};
+
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Products joined with their review and sales aggregates, shared by listing and facet queries
+const BASE_FROM = `
+    FROM products p
+    LEFT JOIN (
+        SELECT product_id, AVG(rating) AS avg_rating, COUNT(*) AS review_count
+        FROM reviews
+        WHERE status != 'hidden'
+        GROUP BY product_id
+    ) r ON r.product_id = p.id
+    LEFT JOIN (
+        SELECT oi.product_id, SUM(oi.quantity) AS units_sold
+        FROM order_items oi
+        JOIN orders o ON o.id = oi.order_id
+        WHERE o.status != 'cancelled'
+        GROUP BY oi.product_id
+    ) s ON s.product_id = p.id`;
+
+const PRODUCT_COLUMNS = `p.*,
+    COALESCE(r.avg_rating, 0) AS avg_rating,
+    COALESCE(r.review_count, 0) AS review_count,
+    COALESCE(s.units_sold, 0) AS units_sold`;
+
+class ProductCatalog {
+    static get sortOptions() {
+        return Object.keys(SORT_ORDERS);
+    }
+
+    // Normalise shop/API query parameters into a filters object
+    static parseFilters(query = {}) {
+        const list = value => (Array.isArray(value) ? value : [value])
+            .filter(v => typeof v === 'string' && v.trim() !== '')
+            .map(v => v.trim());
+        const price = value => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+        };
+        const rating = parseInt(query.minRating);
+        const search = typeof query.search === 'string' ? query.search.trim() : '';
+
+        let sort = query.sort;
+        if (sort === 'relevance' && !search) sort = null;
+        if (sort !== 'relevance' && !SORT_ORDERS[sort]) sort = search ? 'relevance' : 'newest';
+
+        return {
+            categories: list(query.category),
+            brands: list(query.brand),
+            search,
+            minPrice: price(query.minPrice),
+            maxPrice: price(query.maxPrice),
+            inStock: ['1', 'true', 'on'].includes(query.inStock),
+            minRating: RATING_THRESHOLDS.includes(rating) ? rating : null,
+            sort
+        };
+    }
+
+    // Query string for the active filters (used for pagination links and infinite scroll)
+    static toQueryString(filters) {
+        const params = new URLSearchParams();
+        filters.categories.forEach(c => params.append('category', c));
+        filters.brands.forEach(b => params.append('brand', b));
+        if (filters.search) params.append('search', filters.search);
+        if (filters.minPrice !== null) params.append('minPrice', filters.minPrice);
+        if (filters.maxPrice !== null) params.append('maxPrice', filters.maxPrice);
+        if (filters.inStock) params.append('inStock', '1');
+        if (filters.minRating) params.append('minRating', filters.minRating);
+        if (filters.sort) params.append('sort', filters.sort);
+        return params.toString();
+    }
+
+    // Build FROM/WHERE for the filters. `exclude` leaves one facet out so its own counts stay meaningful.
+    static async buildQuery(db, filters, exclude = null) {
+        let from = BASE_FROM;
+        const conditions = [];
+        const params = [];
+        let corrected = null;
+        let ranked = false;
+
+        if (filters.search) {
+            const match = await ProductSearch.buildMatchQuery(db, filters.search);
+            if (match.match) {
+                from += ' JOIN products_fts ON products_fts.rowid = p.id';
+                conditions.push('products_fts MATCH ?');
+                params.push(match.match);
+                corrected = match.corrected;
+                ranked = true;
+            } else {
+                conditions.push('0');
+            }
+        }
+        // Categories and brands are matched by slug (or name, for older links); a category includes its subcategories
+        if (exclude !== 'categories' && filters.categories.length > 0) {
+            const placeholders = filters.categories.map(() => '?').join(', ');
+            conditions.push(`p.category_id IN (
+                WITH RECURSIVE tree(id) AS (
+                    SELECT id FROM categories WHERE slug IN (${placeholders}) OR name IN (${placeholders})
+                    UNION
+                    SELECT c.id FROM categories c JOIN tree ON c.parent_id = tree.id
+                )
+                SELECT id FROM tree
+            )`);
+            params.push(...filters.categories, ...filters.categories);
+        }
+        if (exclude !== 'brands' && filters.brands.length > 0) {
+            const placeholders = filters.brands.map(() => '?').join(', ');
+            conditions.push(`p.brand_id IN (SELECT id FROM brands WHERE slug IN (${placeholders}) OR name IN (${placeholders}))`);
+            params.push(...filters.brands, ...filters.brands);
+        }
+        if (exclude !== 'price' && filters.minPrice !== null) {
+            conditions.push(`${CURRENT_PRICE} >= ?`);
+            params.push(filters.minPrice);
+        }
+        if (exclude !== 'price' && filters.maxPrice !== null) {
+            conditions.push(`${CURRENT_PRICE} <= ?`);
+            params.push(filters.maxPrice);
+        }
+        if (exclude !== 'inStock' && filters.inStock) {
+            conditions.push('p.stock > 0');
+        }
+        if (exclude !== 'minRating' && filters.minRating) {
+            conditions.push('COALESCE(r.avg_rating, 0) >= ?');
+            params.push(filters.minRating);
+        }
+
+        return { from, conditions, params, corrected, ranked };
+    }
+
+    static where(conditions) {
+        return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    }
+
+    // One page of products matching the filters, in the requested order
+    static async list(db, filters, { limit = 12, offset = 0 } = {}) {
+        const { from, conditions, params, corrected, ranked } = await this.buildQuery(db, filters);
+        const where = this.where(conditions);
+        const orderBy = filters.sort === 'relevance' && ranked
+            ? ProductSearch.rankExpression
+            : SORT_ORDERS[filters.sort] || SORT_ORDERS.newest;
+
+        const products = await db.all(
+            `SELECT ${PRODUCT_COLUMNS} ${from}${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+        const totalCount = await db.get(`SELECT COUNT(*) AS count ${from}${where}`, params);
+
+        return { products: Sales.apply(products), total: totalCount?.count || 0, corrected };
+    }
+
+    // Counts for each sidebar option, given every other active filter
+    static async facets(db, filters) {
+        const countBy = async (column, facet) => {
+            const { from, conditions, params } = await this.buildQuery(db, filters, facet);
+            const rows = await db.all(
+                `SELECT p.${column} AS id, COUNT(*) AS count ${from}${this.where(conditions)} GROUP BY p.${column}`,
+                params
+            );
+            return new Map(rows.map(row => [row.id, row.count]));
+        };
+        const isSelected = (row, selected) => selected.includes(row.slug) || selected.includes(row.name);
+
+        // Category counts include everything nested below, so walk the tree from the leaves up
+        const categoryTree = await Taxonomy.getCategoryTree(db);
+        const categoryCounts = await countBy('category_id', 'categories');
+        const totals = new Map(categoryTree.map(category => [category.id, categoryCounts.get(category.id) || 0]));
+        [...categoryTree].reverse().forEach(category => {
+            if (category.parent_id && totals.has(category.parent_id)) {
+                totals.set(category.parent_id, totals.get(category.parent_id) + totals.get(category.id));
+            }
+        });
+        const categories = categoryTree.map(category => ({
+            value: category.slug,
+            label: category.name,
+            depth: category.depth,
+            count: totals.get(category.id),
+            selected: isSelected(category, filters.categories)
+        }));
+
+        const brandCounts = await countBy('brand_id', 'brands');
+        const brands = (await Taxonomy.getBrands(db)).map(brand => ({
+            value: brand.slug,
+            label: brand.name,
+            count: brandCounts.get(brand.id) || 0,
+            selected: isSelected(brand, filters.brands)
+        }));
+
+        const stockQuery = await this.buildQuery(db, filters, 'inStock');
+        const inStock = await db.get(
+            `SELECT COUNT(*) AS count ${stockQuery.from}${this.where([...stockQuery.conditions, 'p.stock > 0'])}`,
+            stockQuery.params
+        );
+
+        const ratingQuery = await this.buildQuery(db, filters, 'minRating');
+        const ratingRow = await db.get(
+            `SELECT ${RATING_THRESHOLDS.map(t => `SUM(CASE WHEN COALESCE(r.avg_rating, 0) >= ${t} THEN 1 ELSE 0 END) AS r${t}`).join(', ')}
+             ${ratingQuery.from}${this.where(ratingQuery.conditions)}`,
+            ratingQuery.params
+        );
+
+        const priceQuery = await this.buildQuery(db, filters, 'price');
+        const priceRange = await db.get(
+            `SELECT MIN(${CURRENT_PRICE}) AS min, MAX(${CURRENT_PRICE}) AS max ${priceQuery.from}${this.where(priceQuery.conditions)}`,
+            priceQuery.params
+        );
+
+        return {
+            categories,
+            brands,
+            inStock: inStock?.count || 0,
+            ratings: RATING_THRESHOLDS.map(t => ({ value: t, count: ratingRow?.[`r${t}`] || 0 })),
+            priceRange: {
+                min: Math.floor(priceRange?.min || 0),
+                max: Math.ceil(priceRange?.max || 0)
+            }
+        };
+    }
+}
+
+module.exports = ProductCatalog;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const OrderNumbers = require('./orderNumbers');
+
+// One-time tokens that make placing an order idempotent. GET /checkout issues a token that the
+// form sends back; the first submit claims it and records the order it creates, so a double click
+// or a browser retry of the same form gets that order back instead of placing a second one.
+// A submit that fails without placing an order gives its token back, so the form can be resent.
+// Each token comes with the order number its order will get, so the UPI payment note can carry
+// it before the order exists (abandoned checkouts leave gaps in the numbering).
+
+// How long a replay waits for the submit it repeats to finish placing the order
+const CLAIM_WAIT_MS = 10000;
+const CLAIM_POLL_MS = 250;
+
+class CheckoutTokens {
+    // Unused tokens are kept this long, so a checkout left open in a tab can still be submitted
+    static get lifetimeHours() {
+        return parseInt(process.env.CHECKOUT_TOKEN_HOURS) || 24;
+    }
+
+    // Returns { token, orderNumber }
+    static async issue(db, userId) {
+        await db.run(
+            "DELETE FROM checkout_tokens WHERE user_id = ? AND order_id IS NULL AND created_at <= datetime('now', ?)",
+            [userId, `-${this.lifetimeHours} hours`]
+        );
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const orderNumber = await OrderNumbers.next(db);
+        await db.run('INSERT INTO checkout_tokens (token, user_id, order_number) VALUES (?, ?, ?)', [token, userId, orderNumber]);
+        return { token, orderNumber };
+    }
+
+    // Order number set aside for a user's open checkout, or null
+    static async orderNumber(db, userId, token) {
+        const row = await db.get(
+            'SELECT order_number FROM checkout_tokens WHERE token = ? AND user_id = ? AND order_id IS NULL',
+            [String(token || ''), userId]
+        );
+        return row ? row.order_number : null;
+    }
+
+    // Claim a token for a submit. Returns { claimed: true, orderNumber } when this submit should place
+    // the order, { orderId } when an earlier submit of the same form already has, or { error }.
+    static async claim(db, userId, token) {
+        const deadline = Date.now() + CLAIM_WAIT_MS;
+
+        while (true) {
+            const result = await db.run(
+                'UPDATE checkout_tokens SET claimed_at = CURRENT_TIMESTAMP WHERE token = ? AND user_id = ? AND claimed_at IS NULL AND order_id IS NULL',
+                [String(token || ''), userId]
+            );
+            const row = await db.get('SELECT * FROM checkout_tokens WHERE token = ? AND user_id = ?', [String(token || ''), userId]);
+            if (result.changes > 0) {
+                return { claimed: true, orderNumber: row.order_number };
+            }
+
+            if (!row) {
+                return { error: 'This checkout has expired. Please review your order and place it again.' };
+            }
+            if (row.order_id) {
+                return { orderId: row.order_id };
+            }
+
+            // The same form is still being submitted; wait for it to place the order (or give up the token)
+            if (Date.now() >= deadline) {
+                return { error: 'Your order is still being placed. Please check your order history in a moment.' };
+            }
+            await new Promise(resolve => setTimeout(resolve, CLAIM_POLL_MS));
+        }
+    }
+
+    // Record the order a claimed token placed; call inside the order's transaction
+    static async complete(db, token, orderId) {
+        await db.run('UPDATE checkout_tokens SET order_id = ? WHERE token = ?', [orderId, token]);
+    }
+
+    // Give back a claimed token whose submit did not place an order
+    static async release(db, token) {
+        await db.run('UPDATE checkout_tokens SET claimed_at = NULL WHERE token = ? AND order_id IS NULL', [token]);
+    }
+}
+
+module.exports = CheckoutTokens;
@@ -0,0 +1,60 @@
+const Shipping = require('./shipping');
+
+// Cash on Delivery rules. The payment stays pending until the courier hands the parcel over and an
+// admin records the cash; parcels the customer refuses count against their COD eligibility.
+const METHOD = 'COD';
+
+class CashOnDelivery {
+    static get method() {
+        return METHOD;
+    }
+
+    // Largest order (in paise, before the COD fee) that can be paid in cash
+    static get maxOrderValue() {
+        const rupees = parseFloat(process.env.COD_MAX_ORDER_VALUE);
+        return Math.round((Number.isFinite(rupees) && rupees > 0 ? rupees : 5000) * 100);
+    }
+
+    // Extra charge for paying in cash, in paise; none unless configured
+    static get fee() {
+        const rupees = parseFloat(process.env.COD_FEE);
+        return Math.round((Number.isFinite(rupees) && rupees > 0 ? rupees : 0) * 100);
+    }
+
+    // Refused COD deliveries after which a customer can only prepay
+    static get maxRefusals() {
+        const count = parseInt(process.env.COD_MAX_REFUSALS);
+        return count > 0 ? count : 2;
+    }
+
+    static async refusalCount(db, userId) {
+        const row = await db.get(
+            "SELECT COUNT(*) as count FROM orders WHERE user_id = ? AND payment_method = ? AND status = 'refused'",
+            [userId, METHOD]
+        );
+        return row ? row.count : 0;
+    }
+
+    // Whether an order of `orderValue` paise (before the COD fee) to a PIN code can be paid in cash.
+    // Without a user (a guest asking about delivery) only the order and PIN code rules are checked.
+    // Returns { eligible, reason, fee }.
+    static async eligibility(db, userId, pincode, orderValue) {
+        const result = reason => ({ eligible: !reason, reason, fee: this.fee });
+
+        if (orderValue > this.maxOrderValue) {
+            return result(`Cash on Delivery is available on orders up to ₹${(this.maxOrderValue / 100).toFixed(2)}`);
+        }
+
+        const { serviceable, zone } = await Shipping.check(db, pincode);
+        if (!serviceable || !zone.cod_available) {
+            return result('Cash on Delivery is not available for this PIN code');
+        }
+
+        if (userId && await this.refusalCount(db, userId) >= this.maxRefusals) {
+            return result('Cash on Delivery is not available on your account because of refused deliveries');
+        }
+        return result(null);
+    }
+}
+
+module.exports = CashOnDelivery;
@@ -0,0 +1,156 @@
+const Pricing = require('./pricing');
+
+// Coupon checks and redemption. A coupon is only counted as used once an order is placed with it;
+// applying a code in the cart just remembers it in the session until checkout recomputes the discount.
+class Coupons {
+    static normalizeCode(code) {
+        return (code || '').trim().toUpperCase();
+    }
+
+    // Products, categories and brands a coupon is limited to (empty arrays mean no restriction)
+    static async getRestrictions(db, couponId) {
+        const rows = await db.all('SELECT * FROM coupon_restrictions WHERE coupon_id = ?', [couponId]);
+        return {
+            productIds: rows.filter(r => r.product_id).map(r => r.product_id),
+            categoryIds: rows.filter(r => r.category_id).map(r => r.category_id),
+            brandIds: rows.filter(r => r.brand_id).map(r => r.brand_id)
+        };
+    }
+
+    static async setRestrictions(db, couponId, { productIds = [], categoryIds = [], brandIds = [] }) {
+        await db.run('DELETE FROM coupon_restrictions WHERE coupon_id = ?', [couponId]);
+        for (const productId of productIds) {
+            await db.run('INSERT INTO coupon_restrictions (coupon_id, product_id) VALUES (?, ?)', [couponId, productId]);
+        }
+        for (const categoryId of categoryIds) {
+            await db.run('INSERT INTO coupon_restrictions (coupon_id, category_id) VALUES (?, ?)', [couponId, categoryId]);
+        }
+        for (const brandId of brandIds) {
+            await db.run('INSERT INTO coupon_restrictions (coupon_id, brand_id) VALUES (?, ?)', [couponId, brandId]);
+        }
+    }
+
+    static async userRedemptionCount(db, couponId, userId) {
+        const row = await db.get('SELECT COUNT(*) as count FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ?', [couponId, userId]);
+        return row ? row.count : 0;
+    }
+
+    // Check a code against the user's cart. Returns { coupon, discount, eligibleSubtotal, eligibleProductIds }
+    // (amounts in paise; eligibleProductIds is null when the whole cart qualifies) or { error }.
+    // Restricted coupons only discount the cart lines they cover; the minimum order applies to the whole cart.
+    static async evaluate(db, code, userId, cartItems) {
+        const coupon = await db.get(
+            `SELECT * FROM coupons WHERE code = ? COLLATE NOCASE
+             AND datetime(valid_from) <= datetime('now') AND datetime(valid_until) >= datetime('now')`,
+            [this.normalizeCode(code)]
+        );
+        if (!coupon) {
+            return { error: 'Invalid or expired coupon' };
+        }
+        if (coupon.usage_limit !== null && coupon.used_count >= coupon.usage_limit) {
+            return { error: 'This coupon has been fully redeemed' };
+        }
+        if (coupon.per_user_limit && await this.userRedemptionCount(db, coupon.id, userId) >= coupon.per_user_limit) {
+            return { error: 'You have already used this coupon' };
+        }
+
+        const lineTotal = item => Pricing.toPaise(item.price) * item.quantity;
+        const subtotal = cartItems.reduce((sum, item) => sum + lineTotal(item), 0);
+        if (subtotal < Pricing.toPaise(coupon.min_order_amount)) {
+            return { error: `Minimum order amount of ₹${coupon.min_order_amount} required` };
+        }
+
+        const restrictions = await this.getRestrictions(db, coupon.id);
+        const restricted = restrictions.productIds.length + restrictions.categoryIds.length + restrictions.brandIds.length > 0;
+
+        let eligibleSubtotal = subtotal;
+        let eligibleProductIds = null;
+        if (restricted) {
+            eligibleSubtotal = 0;
+            eligibleProductIds = [];
+            for (const item of cartItems) {
+                const product = await db.get('SELECT id, category_id, brand_id FROM products WHERE id = ?', [item.product_id]);
+                if (product && (restrictions.productIds.includes(product.id) ||
+                    restrictions.categoryIds.includes(product.category_id) ||
+                    restrictions.brandIds.includes(product.brand_id))) {
+                    eligibleSubtotal += lineTotal(item);
+                    eligibleProductIds.push(product.id);
+                }
+            }
+            if (eligibleSubtotal === 0) {
+                return { error: 'This coupon does not apply to any item in your cart' };
+            }
+        }
+
+        let discount = coupon.discount_type === 'percentage'
+            ? Math.round(eligibleSubtotal * coupon.discount_value / 100)
+            : Pricing.toPaise(coupon.discount_value);
+        if (coupon.max_discount) {
+            discount = Math.min(discount, Pricing.toPaise(coupon.max_discount));
+        }
+        discount = Math.min(discount, eligibleSubtotal);
+
+        return { coupon, discount, eligibleSubtotal, eligibleProductIds };
+    }
+
+    // Count a use of the coupon against an order. The per-user limit and the usage limit are each
+    // checked again in the statement that takes the use, so two orders racing for the last use
+    // (overall or the user's own) cannot both get it. Returns { redemptionId } or { error }.
+    static async redeem(db, coupon, userId, orderId, discountPaise) {
+        const redemption = await db.run(`
+            INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, code, discount_amount)
+            SELECT ?, ?, ?, ?, ?
+            WHERE ? IS NULL OR (SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ?) < ?
+        `, [coupon.id, userId, orderId, coupon.code, Pricing.toRupees(discountPaise),
+            coupon.per_user_limit || null, coupon.id, userId, coupon.per_user_limit]);
+        if (redemption.changes === 0) {
+            return { error: 'You have already used this coupon' };
+        }
+
+        const result = await db.run(
+            'UPDATE coupons SET used_count = used_count + 1 WHERE id = ? AND (usage_limit IS NULL OR used_count < usage_limit)',
+            [coupon.id]
+        );
+        if (result.changes === 0) {
+            await db.run('DELETE FROM coupon_redemptions WHERE id = ?', [redemption.lastID]);
+            return { error: 'This coupon has been fully redeemed' };
+        }
+        return { redemptionId: redemption.lastID };
+    }
+
+    // Give the use back when an order is cancelled or its payment rejected
+    static async release(db, orderId) {
+        const redemption = await db.get('SELECT * FROM coupon_redemptions WHERE order_id = ?', [orderId]);
+        if (!redemption) return;
+
+        await db.run('DELETE FROM coupon_redemptions WHERE id = ?', [redemption.id]);
+        await db.run('UPDATE coupons SET used_count = MAX(used_count - 1, 0) WHERE id = ?', [redemption.coupon_id]);
+    }
+
+    // All coupons with their restrictions and what they have given away so far, for the admin page
+    static async list(db) {
+        const coupons = await db.all(`
+            SELECT c.*,
+                   COUNT(r.id) as redemption_count,
+                   COALESCE(SUM(r.discount_amount), 0) as total_discount
+            FROM coupons c
+            LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id
+            GROUP BY c.id
+            ORDER BY c.created_at DESC, c.id DESC
+        `);
+
+        for (const coupon of coupons) {
+            coupon.restrictions = await db.all(`
+                SELECT cr.*, p.name as product_name, cat.name as category_name, b.name as brand_name
+                FROM coupon_restrictions cr
+                LEFT JOIN products p ON cr.product_id = p.id
+                LEFT JOIN categories cat ON cr.category_id = cat.id
+                LEFT JOIN brands b ON cr.brand_id = b.id
+                WHERE cr.coupon_id = ?
+            `, [coupon.id]);
+        }
+        return coupons;
+    }
+}
+
+module.exports = Coupons;
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const Pricing = require('./pricing');
+const Wallet = require('./wallet');
+
+// Gift cards. Buying a gift-card product issues one code per unit, worth what was paid for it
+// (after any coupon discount), once the order is paid; a code can be redeemed once, into the
+// redeemer's wallet, and the credit keeps the card's expiry. Refunding a card cancels it, so
+// only cards not yet redeemed can be refunded.
+
+// No 0/O or 1/I, so codes can be read out and typed in without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class GiftCards {
+    static get validityDays() {
+        const days = parseInt(process.env.GIFT_CARD_VALIDITY_DAYS);
+        return days > 0 ? days : 365;
+    }
+
+    static normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    // "GC-XXXX-XXXX-XXXX"
+    static generateCode() {
+        const bytes = crypto.randomBytes(12);
+        const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+        return `GC-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+    }
+
+    // Issue the codes for the gift-card lines of a paid order. Does nothing if the order's cards
+    // were already issued; returns the cards issued.
+    static async issueForOrder(db, orderId) {
+        const existing = await db.get('SELECT COUNT(*) as count FROM gift_cards WHERE order_id = ?', [orderId]);
+        if (existing.count > 0) return [];
+
+        const lines = await db.all(`
+            SELECT oi.id, oi.quantity, oi.price, oi.taxable_amount, o.user_id
+            FROM order_items oi
+            JOIN products p ON oi.product_id = p.id
+            JOIN orders o ON oi.order_id = o.id
+            WHERE oi.order_id = ? AND p.is_gift_card = 1
+        `, [orderId]);
+
+        const issued = [];
+        for (const line of lines) {
+            // The line's discounted value is split across its cards, the rounding spread so the
+            // cards add up to exactly what was paid (lines from before this was recorded: price)
+            const value = line.taxable_amount === null
+                ? Pricing.toPaise(line.price) * line.quantity
+                : Pricing.toPaise(line.taxable_amount);
+            for (let i = 0; i < line.quantity; i++) {
+                const amount = Pricing.toRupees(
+                    Math.round(value * (i + 1) / line.quantity) - Math.round(value * i / line.quantity)
+                );
+                let code = this.generateCode();
+                while (await db.get('SELECT id FROM gift_cards WHERE code = ?', [code])) {
+                    code = this.generateCode();
+                }
+                await db.run(`
+                    INSERT INTO gift_cards (code, amount, order_id, order_item_id, purchased_by, expires_at)
+                    VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+                `, [code, amount, orderId, line.id, line.user_id, `+${this.validityDays} days`]);
+                issued.push({ code, amount });
+            }
+        }
+        return issued;
+    }
+
+    // Cancel `quantity` of an order line's cards that have not been redeemed, for a refund.
+    // Returns the number cancelled.
+    static async cancelForLine(db, orderItemId, quantity) {
+        const result = await db.run(`
+            UPDATE gift_cards SET status = 'cancelled'
+            WHERE id IN (
+                SELECT id FROM gift_cards WHERE order_item_id = ? AND status = 'active' ORDER BY id LIMIT ?
+            )
+        `, [orderItemId, quantity]);
+        return result.changes;
+    }
+
+    static async listForOrder(db, orderId) {
+        return db.all('SELECT * FROM gift_cards WHERE order_id = ? ORDER BY id', [orderId]);
+    }
+
+    // Redeem a code into a user's wallet. Returns { card } or { error }.
+    static async redeem(db, code, userId) {
+        const card = await db.get('SELECT * FROM gift_cards WHERE code = ?', [this.normalizeCode(code)]);
+        if (!card) {
+            return { error: 'This gift card code is not valid' };
+        }
+        if (card.status === 'redeemed') {
+            return { error: 'This gift card has already been redeemed' };
+        }
+        if (card.status !== 'active') {
+            return { error: 'This gift card can no longer be used' };
+        }
+        if (card.expires_at && await db.get("SELECT 1 FROM gift_cards WHERE id = ? AND datetime(expires_at) <= datetime('now')", [card.id])) {
+            return { error: 'This gift card has expired' };
+        }
+
+        // Conditional so that two redemptions racing for one code cannot both succeed
+        const result = await db.run(
+            "UPDATE gift_cards SET status = 'redeemed', redeemed_by = ?, redeemed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'active'",
+            [userId, card.id]
+        );
+        if (result.changes === 0) {
+            return { error: 'This gift card has already been redeemed' };
+        }
+
+        await Wallet.credit(db, userId, Pricing.toPaise(card.amount), {
+            type: 'gift_card',
+            description: card.code,
+            expiresAt: card.expires_at,
+            giftCardId: card.id
+        });
+        return { card };
+    }
+}
+
+module.exports = GiftCards;
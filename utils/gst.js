@@ -0,0 +1,107 @@
+// GST rules. Each category carries an HSN code and rate slabs keyed on the unit price
+// (e.g. 5% up to ₹2500 a piece, 18% above); subcategories without their own inherit their parent's.
+class GST {
+    // State the store is registered in; sales within it are split into CGST + SGST, others pay IGST
+    static get homeState() {
+        return process.env.STORE_STATE || 'Karnataka';
+    }
+
+    // Rate used for products whose category tree has no slabs at all
+    static get defaultRate() {
+        const rate = parseFloat(process.env.GST_DEFAULT_RATE);
+        return Number.isFinite(rate) && rate >= 0 ? rate : 18;
+    }
+
+    static async getSlabs(db, categoryId) {
+        return db.all('SELECT * FROM tax_slabs WHERE category_id = ? ORDER BY price_above', [categoryId]);
+    }
+
+    static async setSlabs(db, categoryId, slabs) {
+        await db.run('DELETE FROM tax_slabs WHERE category_id = ?', [categoryId]);
+        for (const slab of slabs) {
+            await db.run(
+                'INSERT INTO tax_slabs (category_id, price_above, rate) VALUES (?, ?, ?)',
+                [categoryId, slab.price_above, slab.rate]
+            );
+        }
+    }
+
+    // Slabs from a form: [{ price_above, rate }] with numeric values. Returns { error } or { slabs }.
+    static parseSlabs(input) {
+        const blank = value => value === '' || value === undefined || value === null;
+        const slabs = [];
+        for (const row of Array.isArray(input) ? input : []) {
+            if (blank(row.rate) && blank(row.price_above)) continue;
+
+            const priceAbove = blank(row.price_above) ? 0 : Number(row.price_above);
+            const rate = blank(row.rate) ? NaN : Number(row.rate);
+            if (!Number.isFinite(priceAbove) || priceAbove < 0 || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+                return { error: 'Each tax slab needs a price of 0 or more and a rate between 0 and 100%' };
+            }
+            if (slabs.some(s => s.price_above === priceAbove)) {
+                return { error: 'Two tax slabs cannot start at the same price' };
+            }
+            slabs.push({ price_above: priceAbove, rate });
+        }
+        return { slabs: slabs.sort((a, b) => a.price_above - b.price_above) };
+    }
+
+    // HSN code and slabs that apply to each product, walking up the category tree to the
+    // nearest category that sets them. Returns a Map of product id → { hsnCode, slabs }.
+    static async rulesFor(db, productIds) {
+        const categories = await db.all('SELECT id, parent_id, hsn_code FROM categories');
+        const slabRows = await db.all('SELECT * FROM tax_slabs ORDER BY price_above');
+        const byId = new Map(categories.map(c => [c.id, c]));
+
+        const resolve = (categoryId, pick) => {
+            const seen = new Set();
+            for (let c = byId.get(categoryId); c && !seen.has(c.id); c = byId.get(c.parent_id)) {
+                seen.add(c.id);
+                const value = pick(c);
+                if (value) return value;
+            }
+            return null;
+        };
+
+        const rules = new Map();
+        const ids = [...new Set(productIds)];
+        if (ids.length === 0) return rules;
+
+        const products = await db.all(
+            `SELECT id, category_id FROM products WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        for (const product of products) {
+            const slabs = resolve(product.category_id, c => {
+                const own = slabRows.filter(s => s.category_id === c.id);
+                return own.length > 0 ? own : null;
+            });
+            rules.set(product.id, {
+                hsnCode: resolve(product.category_id, c => c.hsn_code),
+                slabs: slabs || []
+            });
+        }
+        return rules;
+    }
+
+    // Rate of the highest slab the unit price (in paise) is above; the lowest slab if it is above none
+    static rateFor(slabs, unitPricePaise) {
+        if (!slabs || slabs.length === 0) return this.defaultRate;
+
+        const matching = slabs.filter(s => unitPricePaise > Math.round(s.price_above * 100));
+        return (matching.length > 0 ? matching[matching.length - 1] : slabs[0]).rate;
+    }
+
+    // Tax on a taxable amount in paise. The total is the same whichever way it is split, so the
+    // amount quoted before the buyer's PIN code is known never changes once it is.
+    static lineTax(taxablePaise, rate, interState) {
+        const tax = Math.round(taxablePaise * rate / 100);
+        if (interState) {
+            return { cgst: 0, sgst: 0, igst: tax, tax };
+        }
+        const cgst = Math.round(tax / 2);
+        return { cgst, sgst: tax - cgst, igst: 0, tax };
+    }
+}
+
+module.exports = GST;
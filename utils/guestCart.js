@@ -0,0 +1,120 @@
+const Sales = require('./sales');
+
+// Cart of a visitor who is not logged in, kept in the session as
+// [{ id, product_id, variant_id, quantity }] until it is merged into their account
+class GuestCart {
+    static lines(session) {
+        if (!Array.isArray(session.guestCart)) {
+            session.guestCart = [];
+        }
+        return session.guestCart;
+    }
+
+    static find(session, productId, variantId) {
+        return this.lines(session).find(line => line.product_id === productId && line.variant_id === variantId);
+    }
+
+    static count(session) {
+        return this.lines(session).reduce((sum, line) => sum + line.quantity, 0);
+    }
+
+    // Lines get small numeric ids, like cart rows, so the cart page can address them the same way
+    static add(session, productId, variantId, quantity) {
+        const existing = this.find(session, productId, variantId);
+        if (existing) {
+            existing.quantity += quantity;
+            return existing;
+        }
+
+        session.guestCartSeq = (session.guestCartSeq || 0) + 1;
+        const line = { id: session.guestCartSeq, product_id: productId, variant_id: variantId, quantity };
+        this.lines(session).push(line);
+        return line;
+    }
+
+    // Set a line's quantity, kept between 1 and the stock available. Returns the quantity set,
+    // or null if the cart has no such line.
+    static async update(db, session, lineId, quantity) {
+        const line = this.lines(session).find(l => l.id === parseInt(lineId));
+        if (!line) return null;
+
+        const item = await db.get(`
+            SELECT COALESCE(v.stock, p.stock) as stock
+            FROM products p
+            LEFT JOIN product_variants v ON v.id = ? AND v.product_id = p.id
+            WHERE p.id = ?
+        `, [line.variant_id, line.product_id]);
+        line.quantity = Math.max(1, Math.min(parseInt(quantity) || 1, item ? item.stock : 0));
+        return line.quantity;
+    }
+
+    static remove(session, lineId) {
+        session.guestCart = this.lines(session).filter(line => line.id !== parseInt(lineId));
+    }
+
+    static clear(session) {
+        session.guestCart = [];
+    }
+
+    // Lines joined with product data, in the same shape as the cart query for logged-in users.
+    // Lines whose product or variant has since been deleted are dropped.
+    static async load(db, session) {
+        const items = [];
+        for (const line of this.lines(session)) {
+            const item = await db.get(`
+                SELECT p.id as product_id, p.name, ${Sales.priceSql('p', 'v')} as price, COALESCE(v.price, p.price) as original_price, p.image_url,
+                       COALESCE(v.stock, p.stock) as stock, v.id as variant_id, v.size, v.color, v.sku
+                FROM products p
+                LEFT JOIN product_variants v ON v.id = ? AND v.product_id = p.id
+                WHERE p.id = ?
+            `, [line.variant_id, line.product_id]);
+
+            if (item && (!line.variant_id || item.variant_id)) {
+                items.push({ ...item, id: line.id, quantity: line.quantity });
+            }
+        }
+
+        if (items.length !== this.lines(session).length) {
+            session.guestCart = this.lines(session).filter(line => items.some(item => item.id === line.id));
+        }
+        return items;
+    }
+
+    // Move the guest cart into the user's cart rows, capping each line at the stock available.
+    // Returns the lines that could not be merged in full, for telling the user.
+    static async mergeInto(db, session, userId) {
+        const items = await this.load(db, session);
+        const adjustments = [];
+
+        for (const item of items) {
+            const existing = await db.get(
+                'SELECT * FROM cart WHERE user_id = ? AND product_id = ? AND variant_id IS ?',
+                [userId, item.product_id, item.variant_id]
+            );
+            const current = existing ? existing.quantity : 0;
+            const wanted = current + item.quantity;
+            const merged = Math.min(wanted, Math.max(item.stock, current));
+
+            if (merged < wanted) {
+                adjustments.push({ ...item, requested: wanted, quantity: merged });
+            }
+            if (merged === current) {
+                continue;
+            }
+
+            if (existing) {
+                await db.run('UPDATE cart SET quantity = ? WHERE id = ?', [merged, existing.id]);
+            } else {
+                await db.run(
+                    'INSERT INTO cart (user_id, product_id, variant_id, quantity) VALUES (?, ?, ?, ?)',
+                    [userId, item.product_id, item.variant_id, merged]
+                );
+            }
+        }
+
+        this.clear(session);
+        return adjustments;
+    }
+}
+
+module.exports = GuestCart;
@@ -0,0 +1,97 @@
+const path = require('path');
+
+const DEFAULT_IMAGE = '/images/default-product.jpg';
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+class ProductImages {
+    static get defaultImage() {
+        return DEFAULT_IMAGE;
+    }
+
+    // Gallery images in display order
+    static async list(db, productId) {
+        return db.all(
+            'SELECT * FROM product_images WHERE product_id = ? ORDER BY sort_order, id',
+            [productId]
+        );
+    }
+
+    static isImage(file) {
+        return ALLOWED_TYPES.includes(file.mimetype);
+    }
+
+    // Move an uploaded file into public/uploads and return its public URL
+    static async saveUpload(file) {
+        const fileName = `product_${Date.now()}_${Math.random().toString(36).slice(2, 8)}_${file.name.replace(/[^a-zA-Z0-9.]/g, '')}`;
+        const uploadPath = path.join(__dirname, '..', 'public/uploads', fileName);
+        await file.mv(uploadPath);
+        return `/uploads/${fileName}`;
+    }
+
+    // Append an image to the end of the gallery; the first image becomes the primary one
+    static async add(db, productId, imageUrl, altText = null, { primary = false } = {}) {
+        const last = await db.get(
+            'SELECT COUNT(*) as count, COALESCE(MAX(sort_order), -1) as maxOrder FROM product_images WHERE product_id = ?',
+            [productId]
+        );
+
+        const result = await db.run(
+            'INSERT INTO product_images (product_id, image_url, alt_text, sort_order, is_primary) VALUES (?, ?, ?, ?, 0)',
+            [productId, imageUrl, altText || null, last.maxOrder + 1]
+        );
+
+        if (primary || last.count === 0) {
+            await this.setPrimary(db, productId, result.lastID);
+        }
+        return result.lastID;
+    }
+
+    static async setPrimary(db, productId, imageId) {
+        await db.run(
+            'UPDATE product_images SET is_primary = CASE WHEN id = ? THEN 1 ELSE 0 END WHERE product_id = ?',
+            [imageId, productId]
+        );
+        await this.syncPrimaryImage(db, productId);
+    }
+
+    // Renumber the gallery in the given order; ids not belonging to the product are ignored
+    static async reorder(db, productId, imageIds) {
+        for (const [index, imageId] of imageIds.entries()) {
+            await db.run(
+                'UPDATE product_images SET sort_order = ? WHERE id = ? AND product_id = ?',
+                [index, imageId, productId]
+            );
+        }
+    }
+
+    // Delete an image, promoting the next one if it was the primary
+    static async remove(db, image) {
+        await db.run('DELETE FROM product_images WHERE id = ?', [image.id]);
+
+        if (image.is_primary) {
+            const next = await db.get(
+                'SELECT id FROM product_images WHERE product_id = ? ORDER BY sort_order, id LIMIT 1',
+                [image.product_id]
+            );
+            if (next) {
+                await db.run('UPDATE product_images SET is_primary = 1 WHERE id = ?', [next.id]);
+            }
+        }
+        await this.syncPrimaryImage(db, image.product_id);
+    }
+
+    // products.image_url mirrors the primary image, so the shop grid, cart and orders keep working unchanged
+    static async syncPrimaryImage(db, productId) {
+        const primary = await db.get(
+            'SELECT image_url FROM product_images WHERE product_id = ? AND is_primary = 1',
+            [productId]
+        );
+
+        await db.run(
+            'UPDATE products SET image_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [primary ? primary.image_url : DEFAULT_IMAGE, productId]
+        );
+    }
+}
+
+module.exports = ProductImages;
@@ -0,0 +1,202 @@
+const StockReservations = require('./reservations');
+
+// Why a product's stock changed, as stored in stock_movements.reason
+const MOVEMENT_REASONS = {
+    opening_balance: 'Opening balance',
+    product_created: 'Product created',
+    admin_edit: 'Admin edit',
+    variant_added: 'Variant added',
+    variant_updated: 'Variant updated',
+    variant_deleted: 'Variant deleted',
+    import: 'CSV import',
+    order_placed: 'Order placed',
+    order_cancelled: 'Order cancelled',
+    payment_rejected: 'Payment rejected',
+    delivery_refused: 'Delivery refused',
+    order_expired: 'Unpaid order expired'
+};
+
+class Inventory {
+    static get movementReasons() {
+        return MOVEMENT_REASONS;
+    }
+
+    // Get all variants of a product in the order they were created
+    static async getVariants(db, productId) {
+        return db.all(
+            'SELECT * FROM product_variants WHERE product_id = ? ORDER BY id',
+            [productId]
+        );
+    }
+
+    // Keep products.stock equal to the sum of its variants (no-op for products without variants)
+    static async syncProductStock(db, productId) {
+        const result = await db.get(
+            'SELECT COUNT(*) as count, COALESCE(SUM(stock), 0) as total FROM product_variants WHERE product_id = ?',
+            [productId]
+        );
+
+        if (result.count > 0) {
+            await db.run(
+                'UPDATE products SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [result.total, productId]
+            );
+        }
+    }
+
+    // Append a ledger entry; the balance is the product's stock after the change
+    static async recordMovement(db, productId, delta, { reason, variantId = null, orderId = null, adminId = null, note = null }) {
+        const product = await db.get('SELECT stock FROM products WHERE id = ?', [productId]);
+        await db.run(`
+            INSERT INTO stock_movements (product_id, variant_id, delta, reason, order_id, admin_id, balance, note)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [productId, variantId, delta, reason, orderId, adminId, product ? product.stock || 0 : 0, note]);
+    }
+
+    // Run a change that sets stock directly (admin edits, variant changes) and record whatever it did to products.stock
+    static async trackChange(db, productId, movement, change) {
+        const before = await db.get('SELECT stock FROM products WHERE id = ?', [productId]);
+        const result = await change();
+        const after = await db.get('SELECT stock FROM products WHERE id = ?', [productId]);
+
+        const delta = (after ? after.stock || 0 : 0) - (before ? before.stock || 0 : 0);
+        if (delta !== 0) {
+            await this.recordMovement(db, productId, delta, movement);
+        }
+        return result;
+    }
+
+    // Apply a stock change to a cart/order line, at variant level when the line has one
+    static async adjustItemStock(db, item, delta, movement = null) {
+        if (item.variant_id) {
+            await db.run(
+                'UPDATE product_variants SET stock = stock + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [delta, item.variant_id]
+            );
+            await this.syncProductStock(db, item.product_id);
+        } else {
+            await db.run('UPDATE products SET stock = stock + ? WHERE id = ?', [delta, item.product_id]);
+        }
+
+        if (movement && delta !== 0) {
+            await this.recordMovement(db, item.product_id, delta, {
+                ...movement,
+                variantId: item.variant_id || null,
+                orderId: movement.orderId || item.order_id || null
+            });
+        }
+    }
+
+    // Take a line's quantity out of stock in one conditional UPDATE, so concurrent checkouts cannot
+    // oversell. Units reserved for other users' open checkouts are off limits. Returns false if sold out,
+    // or if the line is not for at least one unit (which would put stock back instead).
+    static async takeItemStock(db, item, userId, movement = null) {
+        if (!(item.quantity >= 1)) {
+            return false;
+        }
+
+        const heldByOthers = StockReservations.heldByOthersSql(item);
+        const result = item.variant_id
+            ? await db.run(`
+                UPDATE product_variants SET stock = stock - ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND stock - ? >= ${heldByOthers}
+            `, [item.quantity, item.variant_id, item.quantity, item.variant_id, userId])
+            : await db.run(`
+                UPDATE products SET stock = stock - ?
+                WHERE id = ? AND stock - ? >= ${heldByOthers}
+            `, [item.quantity, item.product_id, item.quantity, item.product_id, userId]);
+
+        if (result.changes === 0) {
+            return false;
+        }
+
+        if (item.variant_id) {
+            await this.syncProductStock(db, item.product_id);
+        }
+        if (movement) {
+            await this.recordMovement(db, item.product_id, -item.quantity, { ...movement, variantId: item.variant_id || null });
+        }
+        return true;
+    }
+
+    // Put the stock of every line of an order back (cancellations and rejected payments)
+    static async restoreOrderStock(db, orderId, movement = null) {
+        const orderItems = await db.all('SELECT * FROM order_items WHERE order_id = ?', [orderId]);
+        for (const item of orderItems) {
+            await this.adjustItemStock(db, item, item.quantity, movement);
+        }
+        return orderItems;
+    }
+
+    // Low-stock threshold from a form or import; blank or invalid means no alerts
+    static parseThreshold(value) {
+        const threshold = parseInt(value);
+        return Number.isInteger(threshold) && threshold >= 0 ? threshold : null;
+    }
+
+    // Products that have just dropped to their low-stock threshold. Each drop is reported once:
+    // the flag is cleared again when stock climbs back above the threshold.
+    static async checkLowStock(db, productIds) {
+        const ids = [...new Set(productIds.map(id => parseInt(id)).filter(Boolean))];
+        if (ids.length === 0) return [];
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const products = await db.all(
+            `SELECT * FROM products WHERE id IN (${placeholders}) AND low_stock_threshold IS NOT NULL`,
+            ids
+        );
+
+        const crossed = [];
+        for (const product of products) {
+            const low = product.stock <= product.low_stock_threshold;
+            if (low && !product.low_stock_alerted) {
+                await db.run('UPDATE products SET low_stock_alerted = 1 WHERE id = ?', [product.id]);
+                crossed.push(product);
+            } else if (!low && product.low_stock_alerted) {
+                await db.run('UPDATE products SET low_stock_alerted = 0 WHERE id = ?', [product.id]);
+            }
+        }
+        return crossed;
+    }
+
+    // Movements of one product, newest first, with the variant and admin that caused them
+    static async getMovements(db, productId, { limit = 50, offset = 0 } = {}) {
+        return db.all(`
+            SELECT m.*, v.size, v.color, v.sku as variant_sku, o.order_number, u.username as admin_username
+            FROM stock_movements m
+            LEFT JOIN product_variants v ON m.variant_id = v.id
+            LEFT JOIN orders o ON m.order_id = o.id
+            LEFT JOIN users u ON m.admin_id = u.id
+            WHERE m.product_id = ?
+            ORDER BY m.id DESC
+            LIMIT ? OFFSET ?
+        `, [productId, limit, offset]);
+    }
+
+    // Every product with its ledger total; `mismatched` is set where products.stock disagrees with it
+    static async reconcile(db) {
+        const products = await db.all(`
+            SELECT p.id, p.name, p.sku, COALESCE(p.stock, 0) as stock,
+                   COALESCE(SUM(m.delta), 0) as ledger_stock,
+                   COUNT(m.id) as movement_count,
+                   MAX(m.created_at) as last_movement_at
+            FROM products p
+            LEFT JOIN stock_movements m ON m.product_id = p.id
+            GROUP BY p.id
+            ORDER BY p.name COLLATE NOCASE
+        `);
+
+        return products.map(product => ({
+            ...product,
+            difference: product.stock - product.ledger_stock,
+            mismatched: product.stock !== product.ledger_stock
+        }));
+    }
+
+    // Human readable label for a variant line, e.g. "M / Black"
+    static variantLabel(item) {
+        return [item.size, item.color].filter(Boolean).join(' / ');
+    }
+}
+
+module.exports = Inventory;
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// A stand-in gateway for development and tests. Its "hosted checkout" is our own page at
+// /payments/mock/:reference, whose Pay and Decline buttons raise a webhook signed the way a real
+// gateway signs one (HMAC-SHA256 of the body), so the whole flow runs without an account anywhere.
+class MockGateway {
+    static get id() {
+        return 'mock';
+    }
+
+    // Set PAYMENT_GATEWAY=mock and MOCK_GATEWAY_SECRET to use it
+    static get secret() {
+        return process.env.MOCK_GATEWAY_SECRET;
+    }
+
+    static get configured() {
+        return !!this.secret;
+    }
+
+    static sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('hex');
+    }
+
+    static async createPayment() {
+        return { reference: `mock_${crypto.randomBytes(8).toString('hex')}` };
+    }
+
+    static handoff({ payment }) {
+        return { redirectUrl: `/payments/mock/${payment.gateway_reference}` };
+    }
+
+    // The webhook the mock checkout raises for an outcome ('success' or 'failed'): { rawBody, headers }
+    static webhookFor(payment, outcome) {
+        const rawBody = JSON.stringify({
+            id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+            reference: payment.gateway_reference,
+            status: outcome,
+            transaction_id: outcome === 'success' ? `pay_${crypto.randomBytes(8).toString('hex')}` : null,
+            amount: Math.round(payment.amount * 100)
+        });
+        return { rawBody, headers: { 'x-mock-signature': this.sign(rawBody) } };
+    }
+
+    static parseCallback() {
+        return null;
+    }
+
+    static parseWebhook(rawBody, headers) {
+        if (!rawBody || !this.secret) return null;
+        const signature = Buffer.from(String(headers['x-mock-signature'] || ''));
+        const expected = Buffer.from(this.sign(rawBody || ''));
+        if (!rawBody || signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+            return null;
+        }
+
+        const event = JSON.parse(rawBody);
+        return {
+            eventId: event.id,
+            reference: event.reference,
+            status: event.status === 'success' ? 'completed' : event.status === 'failed' ? 'failed' : null,
+            transactionId: event.transaction_id || null,
+            amount: Number.isInteger(event.amount) ? event.amount : null
+        };
+    }
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,49 @@
+class Notifications {
+    static async create(db, userId, { type, title, message = null, link = null }) {
+        await db.run(
+            'INSERT INTO notifications (user_id, type, title, message, link) VALUES (?, ?, ?, ?, ?)',
+            [userId, type, title, message, link]
+        );
+    }
+
+    // Most recent notifications of a user, unread first
+    static async list(db, userId, { limit = 10 } = {}) {
+        return db.all(`
+            SELECT * FROM notifications
+            WHERE user_id = ?
+            ORDER BY is_read ASC, created_at DESC, id DESC
+            LIMIT ?
+        `, [userId, limit]);
+    }
+
+    static async unreadCount(db, userId) {
+        const row = await db.get('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0', [userId]);
+        return row ? row.count : 0;
+    }
+
+    static async markAllRead(db, userId) {
+        await db.run('UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0', [userId]);
+    }
+
+    // Tell everyone with the product on their wishlist that it can be bought again; returns the users notified
+    static async notifyBackInStock(db, product) {
+        const users = await db.all(`
+            SELECT u.id, u.username, u.discord_id
+            FROM wishlist w
+            JOIN users u ON w.user_id = u.id
+            WHERE w.product_id = ? AND u.is_banned = 0
+        `, [product.id]);
+
+        for (const user of users) {
+            await this.create(db, user.id, {
+                type: 'back_in_stock',
+                title: `${product.name} is back in stock`,
+                message: 'An item on your wishlist is available again.',
+                link: `/product/${product.id}`
+            });
+        }
+        return users;
+    }
+}
+
+module.exports = Notifications;
@@ -0,0 +1,86 @@
+const CashOnDelivery = require('./cod');
+const Sales = require('./sales');
+
+// Unpaid orders hold their stock from the moment they are placed, so a pending order that is
+// never paid is cancelled once its payment window closes, and the customer is reminded a little
+// before. COD orders get a longer window: they only have to be confirmed (moved on from pending)
+// by then, since the cash comes on delivery. Payments with a screenshot waiting for an admin to
+// check it are left alone - the customer has done their part.
+
+class OrderExpiry {
+    // Hours a UPI, QR or online payment has before its order is cancelled
+    static get upiHours() {
+        const hours = parseFloat(process.env.UPI_ORDER_EXPIRY_HOURS);
+        return hours > 0 ? hours : 24;
+    }
+
+    // Hours a COD order can stay pending before it is cancelled
+    static get codHours() {
+        const hours = parseFloat(process.env.COD_ORDER_EXPIRY_HOURS);
+        return hours > 0 ? hours : 72;
+    }
+
+    // How long before expiry the customer is reminded
+    static get reminderMinutes() {
+        const minutes = parseInt(process.env.ORDER_EXPIRY_REMINDER_MINUTES);
+        return minutes > 0 ? minutes : 60;
+    }
+
+    // How often the scheduler looks for orders to remind about or expire
+    static get checkIntervalMinutes() {
+        const minutes = parseInt(process.env.ORDER_EXPIRY_CHECK_MINUTES);
+        return minutes > 0 ? minutes : 5;
+    }
+
+    static windowHours(method) {
+        return method === CashOnDelivery.method ? this.codHours : this.upiHours;
+    }
+
+    // When an order read with `due` (or any order with its payment method) is cancelled if still unpaid
+    static expiresAt(order) {
+        const placedAt = Sales.parseTime(order.created_at);
+        return new Date(placedAt.getTime() + this.windowHours(order.payment_method) * 3600000);
+    }
+
+    // Pending orders whose window closes within `withinMinutes` (0: has closed), with the
+    // payment's id, amount still to pay (less any wallet credit used) and reminder time as
+    // payment_id, amount_due and reminded_at
+    static async due(db, { withinMinutes = 0 } = {}) {
+        return db.all(`
+            SELECT o.*, p.id as payment_id, p.amount as amount_due, p.reminded_at, u.username, u.discord_id
+            FROM orders o
+            JOIN payments p ON p.order_id = o.id
+            JOIN users u ON o.user_id = u.id
+            WHERE o.status = 'pending' AND p.status = 'pending' AND p.payment_proof IS NULL
+              AND datetime(o.created_at, '+' || (CASE WHEN p.payment_method = ? THEN ? ELSE ? END * 60) || ' minutes')
+                  <= datetime('now', ?)
+            ORDER BY o.created_at
+        `, [CashOnDelivery.method, this.codHours, this.upiHours, `+${withinMinutes} minutes`]);
+    }
+
+    // Orders to remind about now: inside the reminder window, not yet expired and not reminded.
+    // COD customers are not reminded: they pay on delivery, and it is an admin who has to confirm the order.
+    static async dueForReminder(db) {
+        const orders = await this.due(db, { withinMinutes: this.reminderMinutes });
+        const now = new Date();
+        return orders.filter(order => order.payment_method !== CashOnDelivery.method && !order.reminded_at && this.expiresAt(order) > now);
+    }
+
+    static async markReminded(db, order) {
+        await db.run('UPDATE payments SET reminded_at = CURRENT_TIMESTAMP WHERE id = ?', [order.payment_id]);
+    }
+
+    // Cancel an expired order and its payment. Run inside the caller's transaction, which should be
+    // rolled back if this returns false: the order was paid or moved on in the meantime.
+    static async cancel(db, order) {
+        const payment = await db.run("UPDATE payments SET status = 'expired' WHERE id = ? AND status = 'pending'", [order.payment_id]);
+        if (payment.changes === 0) return false;
+        const result = await db.run(
+            "UPDATE orders SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+            [order.id]
+        );
+        return result.changes > 0;
+    }
+}
+
+module.exports = OrderExpiry;
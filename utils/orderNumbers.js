@@ -0,0 +1,35 @@
+// Order numbers: "SW-2026-000123", numbered from 1 each year. The counter is bumped and read in
+// one statement, so two checkouts can never be handed the same number.
+
+// Years roll over at midnight India Standard Time (UTC+05:30), in minutes
+const STORE_UTC_OFFSET_MINUTES = 330;
+
+class OrderNumbers {
+    static get prefix() {
+        return process.env.ORDER_NUMBER_PREFIX || 'SW';
+    }
+
+    static format(year, number) {
+        return `${this.prefix}-${year}-${String(number).padStart(6, '0')}`;
+    }
+
+    // The first order number in a piece of text (a bank statement narration, say), or null. Banks
+    // often drop the dashes from a UPI note, so "SW2026000123" is found as SW-2026-000123.
+    static find(text) {
+        const prefix = this.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = String(text || '').match(new RegExp(`\\b${prefix}[-\\s]?(\\d{4})[-\\s]?(\\d{6})\\b`, 'i'));
+        return match ? this.format(match[1], parseInt(match[2])) : null;
+    }
+
+    static async next(db, now = new Date()) {
+        const year = new Date(now.getTime() + STORE_UTC_OFFSET_MINUTES * 60000).getUTCFullYear();
+        const row = await db.get(`
+            INSERT INTO order_number_sequences (year, last_number) VALUES (?, 1)
+            ON CONFLICT(year) DO UPDATE SET last_number = last_number + 1
+            RETURNING last_number
+        `, [year]);
+        return this.format(year, row.last_number);
+    }
+}
+
+module.exports = OrderNumbers;
@@ -0,0 +1,72 @@
+const RazorpayGateway = require('./razorpayGateway');
+const MockGateway = require('./mockGateway');
+
+// Card and net banking payments through a hosted payment gateway. A provider is a class with:
+//   id, configured
+//   createPayment({ amount, receipt, notes }) -> { reference }   registers the amount (paise) with the gateway
+//   handoff({ payment, order, user, callbackUrl })              -> { redirectUrl } or { view, data }: how the customer is sent to pay
+//   parseCallback(body), parseWebhook(rawBody, headers)         -> the event, or null when it is not genuine
+// Events are { eventId, reference, status: 'completed' | 'failed' | null, transactionId, amount }.
+// PAYMENT_GATEWAY picks the provider; without it Razorpay is used when its keys are set. The mock
+// provider completes payments without taking any money, so it is only ever used when chosen.
+const PROVIDERS = {
+    [RazorpayGateway.id]: RazorpayGateway,
+    [MockGateway.id]: MockGateway
+};
+
+const METHODS = ['Credit Card', 'Debit Card', 'Net Banking'];
+
+class PaymentGateways {
+    static get methods() {
+        return METHODS;
+    }
+
+    static handles(method) {
+        return METHODS.includes(method);
+    }
+
+    // The provider taking payments, or null when none is set up
+    static get active() {
+        if (process.env.PAYMENT_GATEWAY) {
+            const provider = PROVIDERS[process.env.PAYMENT_GATEWAY];
+            return provider && provider.configured ? provider : null;
+        }
+        return RazorpayGateway.configured ? RazorpayGateway : null;
+    }
+
+    // Register a pending payment with the active provider, unless it already is
+    static async prepare(db, payment, order) {
+        const provider = this.active;
+        if (payment.gateway === provider.id && payment.gateway_reference) {
+            return payment;
+        }
+
+        const { reference } = await provider.createPayment({
+            amount: Math.round(payment.amount * 100),
+            receipt: order.order_number,
+            notes: { order_number: order.order_number }
+        });
+        await db.run("UPDATE payments SET gateway = ?, gateway_reference = ?, gateway_status = 'created' WHERE id = ?", [provider.id, reference, payment.id]);
+        return { ...payment, gateway: provider.id, gateway_reference: reference, gateway_status: 'created' };
+    }
+
+    static async findPayment(db, provider, reference) {
+        return db.get('SELECT * FROM payments WHERE gateway = ? AND gateway_reference = ?', [provider.id, reference || '']);
+    }
+
+    // Whether an event has already been applied
+    static async hasEvent(db, provider, event) {
+        return !!await db.get('SELECT id FROM payment_events WHERE provider = ? AND event_id = ?', [provider.id, event.eventId]);
+    }
+
+    // Store an event once it has been applied. Returns false if it already was.
+    static async recordEvent(db, provider, event, paymentId) {
+        const result = await db.run(`
+            INSERT OR IGNORE INTO payment_events (provider, event_id, payment_id, status, transaction_id)
+            VALUES (?, ?, ?, ?, ?)
+        `, [provider.id, event.eventId, paymentId, event.status, event.transactionId]);
+        return result.changes > 0;
+    }
+}
+
+module.exports = PaymentGateways;
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Checks on the screenshot and UTR a customer sends for a QR payment. The file must really be an
+// image (judged by its first bytes, not its name or the browser's type), the UTR - the 12-digit
+// reference UPI apps show for every transfer - can only pay for one order, and the file's
+// SHA-256 is kept so the same screenshot sent for another order is caught.
+
+// Leading bytes of the image formats accepted, with the extension the file is saved under
+const SIGNATURES = [
+    { type: 'image/jpeg', extension: 'jpg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    { type: 'image/png', extension: 'png', matches: bytes => bytes.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/gif', extension: 'gif', matches: bytes => ['GIF87a', 'GIF89a'].includes(bytes.slice(0, 6).toString('latin1')) },
+    { type: 'image/webp', extension: 'webp', matches: bytes => bytes.slice(0, 4).toString('latin1') === 'RIFF' && bytes.slice(8, 12).toString('latin1') === 'WEBP' }
+];
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'public');
+
+const UTR_USED = 'This UTR has already been used to pay for another order';
+
+class PaymentProofs {
+    // The UTR as typed, without spaces; null unless it is 12 digits
+    static normalizeUtr(value) {
+        const utr = String(value || '').replace(/\s/g, '');
+        return /^\d{12}$/.test(utr) ? utr : null;
+    }
+
+    // The image format of a file's contents, or null if it is not one we accept
+    static detect(bytes) {
+        return SIGNATURES.find(signature => bytes.length >= 12 && signature.matches(bytes)) || null;
+    }
+
+    static hash(bytes) {
+        return crypto.createHash('sha256').update(bytes).digest('hex');
+    }
+
+    // The payment a UTR is already recorded on, other than `exceptPaymentId`. Payments from before
+    // UTRs were unique keep a reused one in reused_utr, and count too.
+    static async utrPayment(db, utr, exceptPaymentId = null) {
+        return db.get(`
+            SELECT p.*, o.order_number FROM payments p
+            JOIN orders o ON p.order_id = o.id
+            WHERE (p.upi_transaction_id = ? OR p.reused_utr = ?) AND p.id IS NOT ?
+            ORDER BY p.id
+        `, [utr, utr, exceptPaymentId]);
+    }
+
+    static get utrUsedMessage() {
+        return UTR_USED;
+    }
+
+    // A database error from recording a UTR that another payment already has
+    static isUtrConflict(error) {
+        return !!error && /UNIQUE constraint failed: payments\.upi_transaction_id/.test(error.message);
+    }
+
+    // Validate the UTR and screenshot sent at checkout. Returns { utr, image, hash } or { error }.
+    static async check(db, utrValue, file) {
+        const utr = this.normalizeUtr(utrValue);
+        if (!utr) {
+            return { error: 'Enter the 12-digit UTR (UPI reference number) of your payment' };
+        }
+        if (await this.utrPayment(db, utr)) {
+            return { error: UTR_USED };
+        }
+        if (!file) {
+            return { error: 'Upload a screenshot of your payment' };
+        }
+
+        const image = this.detect(file.data);
+        if (!image) {
+            return { error: 'The payment screenshot must be a JPG, PNG, GIF or WebP image' };
+        }
+        return { utr, image, hash: this.hash(file.data) };
+    }
+
+    // Move a checked screenshot into public/uploads and return its public URL
+    static async save(file, image) {
+        const fileName = `proof_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.${image.extension}`;
+        await file.mv(path.join(UPLOAD_DIR, 'uploads', fileName));
+        return `/uploads/${fileName}`;
+    }
+
+    // Pass/fail checks for the admin reviewing a payment: [{ label, passed, detail }]
+    static async review(db, payment) {
+        const checks = [];
+
+        const utr = this.normalizeUtr(payment.upi_transaction_id || payment.reused_utr);
+        checks.push({
+            label: 'UTR given',
+            passed: !!utr,
+            detail: utr || 'No 12-digit UTR was sent with this payment'
+        });
+        if (utr) {
+            const other = await this.utrPayment(db, utr, payment.id);
+            checks.push({
+                label: 'UTR not used before',
+                passed: !other,
+                detail: other ? `Also recorded on order ${other.order_number}` : 'No other payment has this UTR'
+            });
+        }
+
+        // Proofs from before these checks have no stored hash; work it out from the file
+        let hash = payment.proof_hash;
+        let image = null;
+        const filePath = payment.payment_proof && payment.payment_proof.startsWith('/uploads/')
+            ? path.join(UPLOAD_DIR, payment.payment_proof) : null;
+        if (filePath && fs.existsSync(filePath)) {
+            const bytes = await fs.promises.readFile(filePath);
+            image = this.detect(bytes);
+            hash = hash || this.hash(bytes);
+        }
+        checks.push({
+            label: 'Real image file',
+            passed: !!image,
+            detail: image ? image.type : 'The file is missing or is not a JPG, PNG, GIF or WebP image'
+        });
+
+        if (hash) {
+            const reused = await db.all(`
+                SELECT o.order_number FROM payments p
+                JOIN orders o ON p.order_id = o.id
+                WHERE p.proof_hash = ? AND p.id != ?
+                ORDER BY p.id
+            `, [hash, payment.id]);
+            checks.push({
+                label: 'Screenshot not reused',
+                passed: reused.length === 0,
+                detail: reused.length > 0
+                    ? `The same file was sent for order${reused.length > 1 ? 's' : ''} ${reused.map(row => row.order_number).join(', ')}`
+                    : 'No other payment has this screenshot'
+            });
+        }
+        return checks;
+    }
+}
+
+module.exports = PaymentProofs;
@@ -0,0 +1,56 @@
+// State of an Indian PIN code, from the first three digits (the sorting district).
+// Ranges are inclusive and checked in order, so the narrower exceptions come first.
+const STATE_RANGES = [
+    [110, 110, 'Delhi'],
+    [121, 136, 'Haryana'],
+    [160, 160, 'Chandigarh'],
+    [140, 159, 'Punjab'],
+    [171, 177, 'Himachal Pradesh'],
+    [194, 194, 'Ladakh'],
+    [180, 193, 'Jammu and Kashmir'],
+    [246, 249, 'Uttarakhand'],
+    [262, 263, 'Uttarakhand'],
+    [201, 285, 'Uttar Pradesh'],
+    [301, 345, 'Rajasthan'],
+    [360, 396, 'Gujarat'],
+    [403, 403, 'Goa'],
+    [400, 445, 'Maharashtra'],
+    [450, 488, 'Madhya Pradesh'],
+    [490, 497, 'Chhattisgarh'],
+    [500, 509, 'Telangana'],
+    [510, 535, 'Andhra Pradesh'],
+    [560, 591, 'Karnataka'],
+    [605, 605, 'Puducherry'],
+    [600, 643, 'Tamil Nadu'],
+    [670, 695, 'Kerala'],
+    [737, 737, 'Sikkim'],
+    [744, 744, 'Andaman and Nicobar Islands'],
+    [700, 743, 'West Bengal'],
+    [750, 770, 'Odisha'],
+    [781, 788, 'Assam'],
+    [790, 792, 'Arunachal Pradesh'],
+    [793, 794, 'Meghalaya'],
+    [795, 795, 'Manipur'],
+    [796, 796, 'Mizoram'],
+    [797, 798, 'Nagaland'],
+    [799, 799, 'Tripura'],
+    [813, 835, 'Jharkhand'],
+    [800, 855, 'Bihar']
+];
+
+class Pincodes {
+    static isValid(pincode) {
+        return /^[1-9][0-9]{5}$/.test(String(pincode || '').trim());
+    }
+
+    // Returns null for malformed PIN codes and ones outside every known range
+    static stateFor(pincode) {
+        if (!this.isValid(pincode)) return null;
+
+        const prefix = parseInt(String(pincode).trim().slice(0, 3));
+        const range = STATE_RANGES.find(([from, to]) => prefix >= from && prefix <= to);
+        return range ? range[2] : null;
+    }
+}
+
+module.exports = Pincodes;
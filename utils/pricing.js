@@ -0,0 +1,116 @@
+const GST = require('./gst');
+const Pincodes = require('./pincodes');
+const Shipping = require('./shipping');
+
+// Pricing rules. Every amount in a quote is in integer paise so totals add up exactly;
+// rupees only come back out at the edges (database DECIMAL columns, views, the UPI link).
+
+class Pricing {
+    static toPaise(rupees) {
+        return Math.round(Number(rupees || 0) * 100);
+    }
+
+    static toRupees(paise) {
+        return paise / 100;
+    }
+
+    // "1234.50" - for the UPI link and anywhere a fixed two-decimal amount is needed
+    static format(paise) {
+        return (paise / 100).toFixed(2);
+    }
+
+    // Share a discount out over the lines it applies to in proportion to their value,
+    // giving the rounding remainder to the last line so the shares add up exactly
+    static allocateDiscount(lines, discount, eligibleProductIds = null) {
+        const eligible = lines.filter(line => !eligibleProductIds || eligibleProductIds.includes(line.product_id));
+        const base = eligible.reduce((sum, line) => sum + line.line_total, 0);
+        let left = discount;
+
+        eligible.forEach((line, index) => {
+            const share = index === eligible.length - 1 ? left : Math.floor(discount * line.line_total / base);
+            line.discount = share;
+            left -= share;
+        });
+    }
+
+    // Price a set of cart/order lines. `coupon` is a successful Coupons.evaluate result (or null);
+    // its discount is already in paise and is never allowed to exceed the subtotal. GST is charged
+    // per line on the value after discount, split by whether the PIN code is in the store's state.
+    // Without a PIN code the sale is treated as intra-state and shipping is left out (`delivery` is
+    // null) until the buyer gives one; with one, `delivery` is the Shipping.quote for it.
+    // `codFee` (paise) is the Cash on Delivery charge when the buyer pays that way.
+    static async quote(db, cartItems, { coupon = null, pincode = null, codFee = 0 } = {}) {
+        const invalid = cartItems.find(item => !(item.quantity >= 1));
+        if (invalid) {
+            throw new Error(`Cannot price ${invalid.name || `product ${invalid.product_id}`}: quantity ${invalid.quantity} is less than 1`);
+        }
+
+        const lines = cartItems.map(item => {
+            const unitPrice = this.toPaise(item.price);
+            return {
+                product_id: item.product_id,
+                variant_id: item.variant_id || null,
+                name: item.name,
+                quantity: item.quantity,
+                unit_price: unitPrice,
+                line_total: unitPrice * item.quantity,
+                discount: 0
+            };
+        });
+
+        const subtotal = lines.reduce((sum, line) => sum + line.line_total, 0);
+        const discount = coupon ? Math.min(coupon.discount, subtotal) : 0;
+        if (discount > 0) {
+            this.allocateDiscount(lines, discount, coupon.eligibleProductIds);
+        }
+
+        const buyerState = Pincodes.stateFor(pincode);
+        const interState = !!buyerState && buyerState !== GST.homeState;
+        const rules = await GST.rulesFor(db, lines.map(line => line.product_id));
+
+        for (const line of lines) {
+            const rule = rules.get(line.product_id) || { hsnCode: null, slabs: [] };
+            line.taxable = line.line_total - line.discount;
+            line.hsn_code = rule.hsnCode;
+            line.tax_rate = GST.rateFor(rule.slabs, line.taxable / line.quantity);
+            Object.assign(line, GST.lineTax(line.taxable, line.tax_rate, interState));
+        }
+
+        const sum = field => lines.reduce((total, line) => total + line[field], 0);
+        const tax = sum('tax');
+        const delivery = pincode ? await Shipping.quote(db, pincode, lines, subtotal) : null;
+        const shipping = delivery ? delivery.charge : 0;
+
+        return {
+            lines,
+            subtotal,
+            discount,
+            couponCode: coupon ? coupon.coupon.code : null,
+            buyerState,
+            placeOfSupply: buyerState || GST.homeState,
+            interState,
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            tax,
+            delivery,
+            shipping,
+            codFee,
+            total: subtotal - discount + tax + shipping + codFee
+        };
+    }
+
+    // The quote in rupees, in the shape the cart and checkout views display
+    static summary(quote) {
+        return {
+            subtotal: this.toRupees(quote.subtotal),
+            tax: this.toRupees(quote.tax),
+            shipping: this.toRupees(quote.shipping),
+            discount: this.toRupees(quote.discount),
+            codFee: this.toRupees(quote.codFee),
+            total: this.toRupees(quote.total)
+        };
+    }
+}
+
+module.exports = Pricing;
@@ -0,0 +1,192 @@
+const Csv = require('./csv');
+const ProductImages = require('./images');
+const Inventory = require('./inventory');
+
+// Column order of exported files; imports may use any subset as long as rows can be matched
+const COLUMNS = ['id', 'sku', 'name', 'description', 'price', 'category', 'brand', 'stock', 'image_url'];
+const UPDATABLE = ['sku', 'name', 'description', 'price', 'category', 'brand', 'stock', 'image_url'];
+// On updates an empty cell in these columns keeps the current value
+const KEEP_WHEN_EMPTY = ['sku', 'name', 'price', 'stock', 'image_url'];
+
+class ProductTransfer {
+    static get columns() {
+        return COLUMNS;
+    }
+
+    // Whole catalogue as CSV, one row per product
+    static async exportCsv(db) {
+        const products = await db.all(`SELECT ${COLUMNS.join(', ')} FROM products ORDER BY id`);
+        return Csv.stringify([COLUMNS, ...products.map(product => COLUMNS.map(column => product[column]))]);
+    }
+
+    // Validate an import file against the catalogue without writing anything.
+    // Returns { rows, creates, updates, unchanged, errors } where each row has its
+    // CSV line number, action ('create' | 'update' | 'unchanged'), values and errors.
+    static async plan(db, text) {
+        const [header = [], ...records] = Csv.parse(text);
+        const columns = header.map(column => column.trim().toLowerCase());
+
+        const unknown = columns.filter(column => !COLUMNS.includes(column));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown column(s): ${unknown.join(', ')}`);
+        }
+        if (!columns.includes('id') && !columns.includes('sku') && !columns.includes('name')) {
+            throw new Error('The file needs an id or sku column to match products, or a name column to create them');
+        }
+
+        const products = await db.all('SELECT * FROM products');
+        const byId = new Map(products.map(product => [String(product.id), product]));
+        const bySku = new Map(products.filter(product => product.sku).map(product => [product.sku, product]));
+        const variantCounts = new Map(
+            (await db.all('SELECT product_id, COUNT(*) as count FROM product_variants GROUP BY product_id'))
+                .map(row => [row.product_id, row.count])
+        );
+
+        // Categories and brands must already exist; cells may hold the name or the slug
+        const lookup = rows => new Map(rows.flatMap(row => [[row.name.toLowerCase(), row], [row.slug, row]]));
+        const categories = lookup(await db.all('SELECT id, name, slug FROM categories'));
+        const brands = lookup(await db.all('SELECT id, name, slug FROM brands'));
+
+        const seen = new Set();
+
+        const rows = records.map((record, index) => {
+            const values = {};
+            columns.forEach((column, i) => {
+                values[column] = (record[i] || '').trim();
+            });
+
+            const row = { line: index + 2, values, errors: [], changes: [], action: 'create', product: null };
+            const provided = column => columns.includes(column) && values[column] !== '';
+
+            // Match by ID first, then by SKU
+            if (provided('id')) {
+                row.product = byId.get(values.id) || null;
+                if (!row.product) row.errors.push(`No product with ID ${values.id}`);
+            } else if (provided('sku')) {
+                row.product = bySku.get(values.sku) || null;
+            }
+            if (row.product) row.action = 'update';
+
+            const key = row.product ? `id:${row.product.id}` : provided('sku') ? `sku:${values.sku}` : null;
+            if (key && seen.has(key)) {
+                row.errors.push('Product appears more than once in the file');
+            }
+            if (key) seen.add(key);
+
+            // Field validation
+            if (row.action === 'create' && !provided('name')) {
+                row.errors.push('Name is required for new products');
+            }
+            if (provided('price')) {
+                const price = Number(values.price);
+                if (!Number.isFinite(price) || price < 0) row.errors.push(`Invalid price "${values.price}"`);
+            } else if (row.action === 'create') {
+                row.errors.push('Price is required for new products');
+            }
+            if (provided('stock') && !/^\d+$/.test(values.stock)) {
+                row.errors.push(`Invalid stock "${values.stock}"`);
+            }
+            row.categoryId = null;
+            if (provided('category')) {
+                const category = categories.get(values.category.toLowerCase());
+                if (category) {
+                    values.category = category.name;
+                    row.categoryId = category.id;
+                } else {
+                    row.errors.push(`Unknown category "${values.category}"`);
+                }
+            }
+            row.brandId = null;
+            if (provided('brand')) {
+                const brand = brands.get(values.brand.toLowerCase());
+                if (brand) {
+                    values.brand = brand.name;
+                    row.brandId = brand.id;
+                } else {
+                    row.errors.push(`Unknown brand "${values.brand}"`);
+                }
+            }
+            if (provided('sku')) {
+                const owner = bySku.get(values.sku);
+                if (owner && row.product && owner.id !== row.product.id) {
+                    row.errors.push(`SKU ${values.sku} belongs to product #${owner.id}`);
+                }
+            }
+
+            if (row.product) {
+                row.changes = UPDATABLE.filter(column => {
+                    if (!columns.includes(column)) return false;
+                    if (KEEP_WHEN_EMPTY.includes(column) && values[column] === '') return false;
+                    const value = column === 'price' || column === 'stock' ? String(Number(values[column])) : values[column];
+                    return String(row.product[column] ?? '') !== value;
+                });
+                if (row.changes.includes('stock') && variantCounts.get(row.product.id)) {
+                    row.errors.push('Stock of a product with variants is managed per variant');
+                }
+                if (row.changes.length === 0) row.action = 'unchanged';
+            }
+
+            return row;
+        });
+
+        return {
+            rows,
+            creates: rows.filter(row => row.action === 'create' && row.errors.length === 0).length,
+            updates: rows.filter(row => row.action === 'update' && row.errors.length === 0).length,
+            unchanged: rows.filter(row => row.action === 'unchanged' && row.errors.length === 0).length,
+            errors: rows.filter(row => row.errors.length > 0).length
+        };
+    }
+
+    // Write a validated plan. The caller owns the transaction.
+    // Stock changes go into the ledger against the admin running the import, with `note` (usually the file name).
+    static async apply(db, plan, { adminId = null, note = null } = {}) {
+        const movement = { reason: 'import', adminId, note };
+
+        for (const row of plan.rows) {
+            const { values } = row;
+
+            if (row.action === 'create') {
+                const result = await db.run(`
+                    INSERT INTO products (sku, name, description, price, category, category_id, brand, brand_id, stock, image_url)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    values.sku || null, values.name, values.description || null, Number(values.price),
+                    values.category || null, row.categoryId, values.brand || null, row.brandId,
+                    parseInt(values.stock) || 0, ProductImages.defaultImage
+                ]);
+                if (parseInt(values.stock)) {
+                    await Inventory.recordMovement(db, result.lastID, parseInt(values.stock), movement);
+                }
+                if (values.image_url) {
+                    await ProductImages.add(db, result.lastID, values.image_url, values.name);
+                }
+            } else if (row.action === 'update') {
+                const assignments = [];
+                const params = [];
+                row.changes.filter(column => column !== 'image_url').forEach(column => {
+                    assignments.push(`${column} = ?`);
+                    if (column === 'price') params.push(Number(values.price));
+                    else if (column === 'stock') params.push(parseInt(values.stock));
+                    else params.push(values[column] || null);
+
+                    if (column === 'category' || column === 'brand') {
+                        assignments.push(`${column}_id = ?`);
+                        params.push(column === 'category' ? row.categoryId : row.brandId);
+                    }
+                });
+                if (assignments.length > 0) {
+                    await Inventory.trackChange(db, row.product.id, movement, () => db.run(
+                        `UPDATE products SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                        [...params, row.product.id]
+                    ));
+                }
+                if (row.changes.includes('image_url')) {
+                    await ProductImages.add(db, row.product.id, values.image_url, values.name || row.product.name, { primary: true });
+                }
+            }
+        }
+    }
+}
+
+module.exports = ProductTransfer;
@@ -55,19 +55,6 @@ class QRGenerator {
         
         return qrs;
     }
-    
-    // Parse UPI payment response (for future use)
-    static parseUPIPaymentResponse(response) {
-        // This would parse the callback from UPI apps
-        // Format: <app>://pay?txnId=XXX&status=success&amount=XXX
-        const params = new URLSearchParams(response.split('?')[1]);
-        return {
-            transactionId: params.get('txnId'),
-            status: params.get('status'),
-            amount: params.get('amount'),
-            reference: params.get('ref')
-        };
-    }
 }
 
 module.exports = QRGenerator;
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// Razorpay Standard Checkout. createPayment registers the amount with the Orders API; the customer
+// pays in Razorpay's checkout, which posts razorpay_order_id, razorpay_payment_id and a signature
+// back to our callback URL. Webhooks (payment.captured, order.paid, payment.failed) are signed with
+// the webhook secret set up in the Razorpay dashboard.
+const API_URL = 'https://api.razorpay.com/v1';
+
+const WEBHOOK_STATUS = {
+    'payment.captured': 'completed',
+    'order.paid': 'completed',
+    'payment.failed': 'failed'
+};
+
+class RazorpayGateway {
+    static get id() {
+        return 'razorpay';
+    }
+
+    static get keyId() {
+        return process.env.RAZORPAY_KEY_ID;
+    }
+
+    static get keySecret() {
+        return process.env.RAZORPAY_KEY_SECRET;
+    }
+
+    static get webhookSecret() {
+        return process.env.RAZORPAY_WEBHOOK_SECRET;
+    }
+
+    static get configured() {
+        return !!(this.keyId && this.keySecret);
+    }
+
+    static sign(payload, secret) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    }
+
+    static signatureMatches(payload, secret, signature) {
+        if (!secret || !signature) return false;
+        const expected = Buffer.from(this.sign(payload, secret));
+        const given = Buffer.from(String(signature));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
+    // Register `amount` paise with Razorpay. Returns { reference } (the Razorpay order id).
+    static async createPayment({ amount, receipt, notes = {} }) {
+        const response = await fetch(`${API_URL}/orders`, {
+            method: 'POST',
+            headers: {
+                'Authorization': 'Basic ' + Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64'),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ amount, currency: 'INR', receipt, notes })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Razorpay order failed: ${(data.error && data.error.description) || response.status}`);
+        }
+        return { reference: data.id };
+    }
+
+    // Razorpay's checkout opens in our page, so the handoff is a page rather than a redirect
+    static handoff({ payment, order, user, callbackUrl }) {
+        return {
+            view: 'payment-gateway',
+            data: {
+                keyId: this.keyId,
+                gatewayOrderId: payment.gateway_reference,
+                amount: Math.round(payment.amount * 100),
+                orderNumber: order.order_number,
+                prefill: { name: order.recipient_name || user.username, email: user.email || '', contact: order.phone || '' },
+                callbackUrl
+            }
+        };
+    }
+
+    // The browser's return from checkout, signed with the key secret over "order_id|payment_id".
+    // Returns the event, or null if it is not a genuine successful payment.
+    static parseCallback(body) {
+        const { razorpay_order_id: orderId, razorpay_payment_id: paymentId, razorpay_signature: signature } = body;
+        if (!orderId || !paymentId || !this.signatureMatches(`${orderId}|${paymentId}`, this.keySecret, signature)) {
+            return null;
+        }
+        return { eventId: `callback:${paymentId}`, reference: orderId, status: 'completed', transactionId: paymentId, amount: null };
+    }
+
+    // A webhook, signed with the webhook secret over the raw body. Returns the event, or null if
+    // the signature does not match.
+    static parseWebhook(rawBody, headers) {
+        if (!rawBody || !this.signatureMatches(rawBody, this.webhookSecret, headers['x-razorpay-signature'])) {
+            return null;
+        }
+
+        const event = JSON.parse(rawBody);
+        const entity = (event.payload && event.payload.payment && event.payload.payment.entity) || {};
+        return {
+            eventId: headers['x-razorpay-event-id'] || `${event.event}:${entity.id}`,
+            reference: entity.order_id,
+            status: WEBHOOK_STATUS[event.event] || null,
+            transactionId: entity.id || null,
+            amount: Number.isInteger(entity.amount) ? entity.amount : null
+        };
+    }
+}
+
+module.exports = RazorpayGateway;
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const CashOnDelivery = require('./cod');
+const Csv = require('./csv');
+const Pricing = require('./pricing');
+const OrderNumbers = require('./orderNumbers');
+const PaymentGateways = require('./paymentGateways');
+const Wallet = require('./wallet');
+
+// Bank/UPI statement reconciliation. A credit on the statement pays a pending payment when it
+// names the order (the order number travels in the UPI note) or carries the UTR the payment was
+// recorded with, and is for exactly the amount due. Everything else is kept as an exception for
+// an admin to match by hand or dismiss. Each credit is stored once, so re-importing an
+// overlapping statement only adds what is new.
+
+// Header names banks use for the columns we read, compared lower-cased without punctuation.
+// Where a bank has more than one (a "Credit" and an "Amount" column, say), the first listed wins.
+const COLUMNS = {
+    date: ['date', 'txn date', 'transaction date', 'value date', 'posting date'],
+    credit: ['credit', 'credit amount', 'credit amt', 'deposit', 'deposits', 'deposit amount', 'deposit amt', 'cr amount', 'amount', 'transaction amount'],
+    type: ['type', 'dr cr', 'cr dr', 'debit credit', 'txn type'],
+    utr: ['utr', 'utr no', 'utr number', 'rrn', 'reference', 'reference no', 'ref no', 'transaction id', 'txn id', 'chq ref no'],
+    narration: ['narration', 'description', 'remarks', 'particulars', 'details', 'transaction remarks', 'note']
+};
+
+// Statements often start with account details; the header is looked for in this many lines
+const HEADER_SEARCH_ROWS = 20;
+
+// Payments settled some other way than money arriving in the bank account: cash, wallet credit,
+// and card and net banking payments, which the gateway confirms
+const NOT_RECONCILED = [CashOnDelivery.method, Wallet.method, ...PaymentGateways.methods];
+
+const normalizeHeader = value => String(value).toLowerCase().replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+class Reconciliation {
+    // Credits in a statement CSV. Returns { entries } or { error }. Debits and rows without a
+    // positive amount are left out; `amount` is in paise.
+    static parse(text) {
+        const rows = Csv.parse(text);
+
+        let headerIndex = -1;
+        let columns = null;
+        for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_ROWS) && !columns; i++) {
+            const headers = rows[i].map(normalizeHeader);
+            const found = {};
+            for (const [key, names] of Object.entries(COLUMNS)) {
+                const name = names.find(candidate => headers.includes(candidate));
+                found[key] = name ? headers.indexOf(name) : -1;
+            }
+            if (found.credit !== -1 && (found.narration !== -1 || found.utr !== -1)) {
+                headerIndex = i;
+                columns = found;
+            }
+        }
+        if (!columns) {
+            return { error: 'Could not find the header row. The statement needs an amount (or credit) column and a narration or UTR column.' };
+        }
+
+        const cell = (row, key) => columns[key] === -1 ? '' : String(row[columns[key]] || '').trim();
+        const entries = [];
+        rows.slice(headerIndex + 1).forEach((row, index) => {
+            if (/^d(r|ebit)?$/i.test(cell(row, 'type'))) return;
+
+            const rupees = Number(cell(row, 'credit').replace(/₹|inr|rs\.?|,|\s|cr$/gi, ''));
+            if (!Number.isFinite(rupees) || rupees <= 0) return;
+
+            const narration = cell(row, 'narration');
+            const utrCell = cell(row, 'utr');
+            const utr = /^\d{12}$/.test(utrCell) ? utrCell : ((narration.match(/\b\d{12}\b/) || [])[0] || null);
+            entries.push({
+                line: headerIndex + index + 2,
+                date: cell(row, 'date') || null,
+                amount: Pricing.toPaise(rupees),
+                utr,
+                reference: OrderNumbers.find(narration) || OrderNumbers.find(utrCell),
+                narration
+            });
+        });
+
+        return { entries };
+    }
+
+    // Identifies a credit across imports: its UTR, or failing that its date, amount and narration
+    static fingerprint(entry) {
+        const key = entry.utr || `${entry.date}|${entry.amount}|${entry.narration}`;
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    static async isDuplicate(db, entry) {
+        return !!await db.get('SELECT id FROM statement_entries WHERE fingerprint = ?', [this.fingerprint(entry)]);
+    }
+
+    // Whether a credit (of `amount` paise, with `utr` if it has one) can pay an order. Returns
+    // { order, payment } when it can, otherwise { order, reason }.
+    static async checkOrder(db, order, amount, utr = null) {
+        const payment = await db.get('SELECT * FROM payments WHERE order_id = ?', [order.id]);
+        if (!payment || NOT_RECONCILED.includes(payment.payment_method)) {
+            return { order, reason: `Order ${order.order_number} is not paid by bank transfer or UPI` };
+        }
+        if (payment.status !== 'pending' || ['cancelled', 'refused'].includes(order.status)) {
+            return { order, reason: `Order ${order.order_number} is not awaiting payment (${payment.status})` };
+        }
+        if (Pricing.toPaise(payment.amount) !== amount) {
+            return { order, reason: `₹${Pricing.format(amount)} received but order ${order.order_number} is for ₹${Pricing.format(Pricing.toPaise(payment.amount))}` };
+        }
+        // A UTR pays for one order only
+        const other = utr && await db.get(`
+            SELECT o.order_number FROM payments p JOIN orders o ON p.order_id = o.id
+            WHERE p.upi_transaction_id = ? AND p.id != ?
+        `, [utr, payment.id]);
+        if (other) {
+            return { order, reason: `UTR ${utr} is already recorded on order ${other.order_number}` };
+        }
+        return { order, payment };
+    }
+
+    // Find the payment a credit is for. Returns { order, payment } for a match, otherwise
+    // { reason } with, when exactly one pending payment is for that amount, `suggestion` (its order).
+    static async match(db, entry) {
+        if (entry.reference) {
+            const order = await db.get('SELECT * FROM orders WHERE order_number = ?', [entry.reference]);
+            if (!order) {
+                return { reason: `No order ${entry.reference}` };
+            }
+            return this.checkOrder(db, order, entry.amount, entry.utr);
+        }
+
+        if (entry.utr) {
+            const payment = await db.get('SELECT * FROM payments WHERE upi_transaction_id = ?', [entry.utr]);
+            if (payment) {
+                const order = await db.get('SELECT * FROM orders WHERE id = ?', [payment.order_id]);
+                return this.checkOrder(db, order, entry.amount, entry.utr);
+            }
+        }
+
+        const candidates = await db.all(`
+            SELECT o.* FROM payments p
+            JOIN orders o ON p.order_id = o.id
+            WHERE p.status = 'pending' AND p.payment_method NOT IN (${NOT_RECONCILED.map(() => '?').join(', ')})
+              AND o.status NOT IN ('cancelled', 'refused') AND ROUND(p.amount * 100) = ?
+        `, [...NOT_RECONCILED, entry.amount]);
+        return {
+            reason: 'No order number or known UTR in this credit',
+            suggestion: candidates.length === 1 ? candidates[0] : null
+        };
+    }
+
+    static async record(db, importId, entry, status, { order = null, payment = null, reason = null, suggestion = null } = {}) {
+        await db.run(`
+            INSERT INTO statement_entries (import_id, line, txn_date, amount, utr, reference, narration, fingerprint, status, reason,
+                                           suggested_order_id, order_id, payment_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [importId, entry.line, entry.date, Pricing.toRupees(entry.amount), entry.utr, entry.reference, entry.narration,
+            this.fingerprint(entry), status, status === 'matched' ? null : reason,
+            suggestion ? suggestion.id : null, order ? order.id : null, payment ? payment.id : null]);
+    }
+
+    static async exceptions(db) {
+        return db.all(`
+            SELECT e.*, s.order_number as suggested_order_number
+            FROM statement_entries e
+            LEFT JOIN orders s ON e.suggested_order_id = s.id
+            WHERE e.status = 'exception'
+            ORDER BY e.id
+        `);
+    }
+}
+
+module.exports = Reconciliation;
@@ -0,0 +1,184 @@
+const GiftCards = require('./giftCards');
+const Pricing = require('./pricing');
+const Wallet = require('./wallet');
+
+// Refunds of paid orders. A refund either gives back everything not yet refunded or is for
+// particular units of the order's lines, each unit worth what was paid for it (its share of the
+// coupon discount taken off, its GST added). Refunds never add up to more than the order took,
+// and the order and payment become partially_refunded, then refunded once all of it is back.
+// Gift cards already redeemed have been spent, so their units (and value) cannot be refunded;
+// refunding the others cancels their codes. Amounts passed in and out are paise; the tables store rupees.
+
+// How the money goes back. Wallet refunds are credited here; the others are paid out by an
+// admin, who records the transfer or gateway reference.
+const METHODS = {
+    original: 'Original payment method',
+    bank_transfer: 'Bank transfer',
+    wallet: 'Wallet credit'
+};
+
+// Payment statuses of an order that has been paid
+const PAID = ['completed', 'partially_refunded', 'refunded'];
+
+class Refunds {
+    static get methods() {
+        return METHODS;
+    }
+
+    // What the customer paid for an order, in paise: the whole total once the payment went through
+    static paidAmount(order, payment) {
+        return payment && PAID.includes(payment.status) ? Pricing.toPaise(order.total_amount) : 0;
+    }
+
+    // What a line was sold for, in paise, after discount and with GST (lines from before GST was
+    // recorded per line were sold at their price)
+    static lineValue(item) {
+        if (item.taxable_amount === null) {
+            return Pricing.toPaise(item.price) * item.quantity;
+        }
+        return Pricing.toPaise(item.taxable_amount) + Pricing.toPaise(item.cgst_amount) +
+            Pricing.toPaise(item.sgst_amount) + Pricing.toPaise(item.igst_amount);
+    }
+
+    static async listForOrder(db, orderId) {
+        const refunds = await db.all(`
+            SELECT r.*, u.username as refunded_by
+            FROM refunds r
+            LEFT JOIN users u ON r.admin_id = u.id
+            WHERE r.order_id = ?
+            ORDER BY r.created_at, r.id
+        `, [orderId]);
+
+        const items = await db.all(`
+            SELECT ri.*, p.name, oi.size, oi.color
+            FROM refund_items ri
+            JOIN refunds r ON ri.refund_id = r.id
+            JOIN order_items oi ON ri.order_item_id = oi.id
+            JOIN products p ON oi.product_id = p.id
+            WHERE r.order_id = ?
+            ORDER BY ri.id
+        `, [orderId]);
+        for (const refund of refunds) {
+            refund.items = items.filter(item => item.refund_id === refund.id);
+            refund.method_label = METHODS[refund.method] || refund.method;
+        }
+        return refunds;
+    }
+
+    // An order's refund position: { paid, refunded, refundable } in paise, and its lines with the
+    // units and value (paise) still refundable on each. Redeemed gift cards are left out of both.
+    static async summary(db, order, payment) {
+        const paid = this.paidAmount(order, payment);
+        const row = await db.get('SELECT SUM(amount) as refunded FROM refunds WHERE order_id = ?', [order.id]);
+        const refunded = Pricing.toPaise(row && row.refunded);
+
+        const lines = await db.all(`
+            SELECT oi.*, p.name, p.is_gift_card,
+                   COALESCE((SELECT SUM(quantity) FROM refund_items WHERE order_item_id = oi.id), 0) as refunded_quantity,
+                   COALESCE((SELECT SUM(amount) FROM refund_items WHERE order_item_id = oi.id), 0) as refunded_amount,
+                   (SELECT COUNT(*) FROM gift_cards WHERE order_item_id = oi.id AND status = 'redeemed') as redeemed_cards
+            FROM order_items oi
+            JOIN products p ON oi.product_id = p.id
+            WHERE oi.order_id = ?
+            ORDER BY oi.id
+        `, [order.id]);
+        let redeemed = 0;
+        for (const line of lines) {
+            line.value = this.lineValue(line);
+            line.redeemed_amount = Math.round(line.value * line.redeemed_cards / line.quantity);
+            line.refundable_quantity = line.quantity - line.refunded_quantity - line.redeemed_cards;
+            line.refundable_amount = Math.max(line.value - Pricing.toPaise(line.refunded_amount) - line.redeemed_amount, 0);
+            redeemed += line.redeemed_amount;
+        }
+
+        return { paid, refunded, refundable: Math.max(paid - refunded - redeemed, 0), lines };
+    }
+
+    // Value (paise) of refunding `quantity` more units of a line from `summary`. The last units
+    // get whatever is left of the line, so a line refunded unit by unit adds up to exactly its value.
+    static unitsValue(line, quantity) {
+        if (quantity >= line.refundable_quantity) return line.refundable_amount;
+        return Math.min(Math.round(line.value * quantity / line.quantity), line.refundable_amount);
+    }
+
+    // Work out a refund from the admin's form. `items` maps order item ids to units; with
+    // `full` everything left is refunded. Returns { amount, items: [{ line, quantity, amount }] }
+    // or { error }.
+    static async plan(db, order, payment, { full = false, items = {} } = {}) {
+        const summary = await this.summary(db, order, payment);
+        if (summary.paid === 0) {
+            return { error: 'This order has not been paid' };
+        }
+        if (summary.refundable === 0) {
+            return { error: 'This order has already been refunded in full' };
+        }
+
+        if (full) {
+            return {
+                amount: summary.refundable,
+                items: summary.lines
+                    .filter(line => line.refundable_quantity > 0)
+                    .map(line => ({ line, quantity: line.refundable_quantity, amount: line.refundable_amount }))
+            };
+        }
+
+        const planned = [];
+        for (const [id, value] of Object.entries(items || {})) {
+            const quantity = parseInt(value);
+            if (!quantity) continue;
+            const line = summary.lines.find(candidate => candidate.id === Number(id));
+            if (!line || quantity < 0 || quantity > line.refundable_quantity) {
+                const redeemed = line && line.redeemed_cards > 0
+                    ? ` (${line.redeemed_cards} of its gift cards ${line.redeemed_cards === 1 ? 'has' : 'have'} been redeemed)` : '';
+                return { error: `Only ${line ? line.refundable_quantity : 0} of ${line ? line.name : 'that item'} can still be refunded${redeemed}` };
+            }
+            planned.push({ line, quantity, amount: this.unitsValue(line, quantity) });
+        }
+        if (planned.length === 0) {
+            return { error: 'Choose the items to refund' };
+        }
+
+        const amount = planned.reduce((sum, item) => sum + item.amount, 0);
+        if (amount > summary.refundable) {
+            return { error: `Only ₹${Pricing.format(summary.refundable)} of this order can still be refunded` };
+        }
+        return { amount, items: planned };
+    }
+
+    // Record a planned refund, pay it into the wallet if that is the method, and roll the order
+    // and payment status up. Run inside the caller's transaction. Returns the new refund's id
+    // and the order's new status.
+    static async create(db, order, payment, plan, { reason, method, reference = null, adminId = null }) {
+        const result = await db.run(`
+            INSERT INTO refunds (order_id, payment_id, amount, reason, method, reference, admin_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [order.id, payment.id, Pricing.toRupees(plan.amount), reason, method, reference, adminId]);
+
+        for (const item of plan.items) {
+            await db.run(
+                'INSERT INTO refund_items (refund_id, order_item_id, quantity, amount) VALUES (?, ?, ?, ?)',
+                [result.lastID, item.line.id, item.quantity, Pricing.toRupees(item.amount)]
+            );
+            if (item.line.is_gift_card) {
+                await GiftCards.cancelForLine(db, item.line.id, item.quantity);
+            }
+        }
+
+        if (method === 'wallet') {
+            await Wallet.credit(db, order.user_id, plan.amount, {
+                type: 'refund',
+                description: `Refund for order ${order.order_number}`,
+                orderId: order.id,
+                adminId
+            });
+        }
+
+        const { refundable } = await this.summary(db, order, payment);
+        const status = refundable === 0 ? 'refunded' : 'partially_refunded';
+        await db.run('UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, order.id]);
+        await db.run('UPDATE payments SET status = ? WHERE id = ?', [status, payment.id]);
+        return { refundId: result.lastID, status };
+    }
+}
+
+module.exports = Refunds;
@@ -0,0 +1,57 @@
+// Units held for other shoppers' open checkouts, for the product (or variant) in the outer query.
+// Expects two parameters: the product/variant id and the id of the user checking out.
+const HELD_BY_OTHERS = {
+    variant: `(SELECT COALESCE(SUM(quantity), 0) FROM stock_reservations
+        WHERE variant_id = ? AND user_id != ? AND expires_at > datetime('now'))`,
+    product: `(SELECT COALESCE(SUM(quantity), 0) FROM stock_reservations
+        WHERE product_id = ? AND variant_id IS NULL AND user_id != ? AND expires_at > datetime('now'))`
+};
+
+class StockReservations {
+    // How long a cart stays reserved after the checkout page is opened
+    static get holdMinutes() {
+        return parseInt(process.env.CHECKOUT_RESERVATION_MINUTES) || 15;
+    }
+
+    static heldByOthersSql(item) {
+        return item.variant_id ? HELD_BY_OTHERS.variant : HELD_BY_OTHERS.product;
+    }
+
+    static async purgeExpired(db) {
+        await db.run("DELETE FROM stock_reservations WHERE expires_at <= datetime('now')");
+    }
+
+    static async release(db, userId) {
+        await db.run('DELETE FROM stock_reservations WHERE user_id = ?', [userId]);
+    }
+
+    // Replace the user's reservations with one per cart line.
+    // Lines that cannot be covered by stock not already held for someone else are returned as shortages.
+    static async reserveCart(db, userId, cartItems) {
+        await this.purgeExpired(db);
+        await this.release(db, userId);
+
+        const shortages = [];
+        for (const item of cartItems) {
+            const row = item.variant_id
+                ? await db.get(`SELECT stock - ${HELD_BY_OTHERS.variant} as available FROM product_variants WHERE id = ?`, [item.variant_id, userId, item.variant_id])
+                : await db.get(`SELECT stock - ${HELD_BY_OTHERS.product} as available FROM products WHERE id = ?`, [item.product_id, userId, item.product_id]);
+            const available = Math.max(row ? row.available : 0, 0);
+
+            if (available < item.quantity) {
+                shortages.push({ ...item, available });
+                continue;
+            }
+
+            await db.run(`
+                INSERT INTO stock_reservations (user_id, product_id, variant_id, quantity, expires_at)
+                VALUES (?, ?, ?, ?, datetime('now', ?))
+            `, [userId, item.product_id, item.variant_id || null, item.quantity, `+${this.holdMinutes} minutes`]);
+        }
+
+        const reservation = await db.get('SELECT MIN(expires_at) as expires_at FROM stock_reservations WHERE user_id = ?', [userId]);
+        return { shortages, expiresAt: reservation ? reservation.expires_at : null };
+    }
+}
+
+module.exports = StockReservations;
@@ -0,0 +1,75 @@
+// Orders in this status count as a verified purchase
+const PURCHASE_STATUS = 'completed';
+
+class Reviews {
+    static get moderationStatuses() {
+        return ['pending', 'approved', 'hidden'];
+    }
+
+    // Whether the user bought the product in a completed order
+    static async hasPurchased(db, userId, productId) {
+        const purchase = await db.get(`
+            SELECT oi.id
+            FROM order_items oi
+            JOIN orders o ON oi.order_id = o.id
+            WHERE o.user_id = ? AND oi.product_id = ? AND o.status = ?
+            LIMIT 1
+        `, [userId, productId, PURCHASE_STATUS]);
+
+        return !!purchase;
+    }
+
+    // Average rating and a 5..1 star histogram of visible reviews
+    static async getSummary(db, productId) {
+        const rows = await db.all(`
+            SELECT rating, COUNT(*) as count
+            FROM reviews
+            WHERE product_id = ? AND status != 'hidden'
+            GROUP BY rating
+        `, [productId]);
+
+        const histogram = [5, 4, 3, 2, 1].map(stars => ({
+            stars,
+            count: rows.find(row => row.rating === stars)?.count || 0
+        }));
+        const total = histogram.reduce((sum, bar) => sum + bar.count, 0);
+        const average = total > 0
+            ? histogram.reduce((sum, bar) => sum + bar.stars * bar.count, 0) / total
+            : 0;
+
+        return {
+            total,
+            average: Math.round(average * 10) / 10,
+            histogram: histogram.map(bar => ({
+                ...bar,
+                percent: total > 0 ? Math.round((bar.count / total) * 100) : 0
+            }))
+        };
+    }
+
+    // One page of visible reviews, newest first
+    static async list(db, productId, { limit = 5, offset = 0 } = {}) {
+        return db.all(`
+            SELECT r.*, u.username, u.avatar, u.discord_id
+            FROM reviews r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.product_id = ? AND r.status != 'hidden'
+            ORDER BY r.created_at DESC, r.id DESC
+            LIMIT ? OFFSET ?
+        `, [productId, limit, offset]);
+    }
+
+    // Validate review input; returns an error message or null
+    static validate({ rating, comment }) {
+        const stars = parseInt(rating);
+        if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+            return 'Rating must be between 1 and 5 stars';
+        }
+        if (comment && comment.length > 2000) {
+            return 'Review must be 2000 characters or less';
+        }
+        return null;
+    }
+}
+
+module.exports = Reviews;
@@ -0,0 +1,168 @@
+// Scheduled sale prices. A product's sale_price applies from sale_starts_at until sale_ends_at
+// (stored in UTC); variants with a price of their own are marked down by the same proportion.
+// Prices are worked out whenever they are read, so nothing has to be reverted when a sale ends.
+
+// Admins enter sale times in India Standard Time
+const STORE_UTC_OFFSET = '+05:30';
+
+class Sales {
+    // SQL condition: the product aliased `p` has a sale running right now
+    static activeSql(p = 'p') {
+        return `(${p}.sale_price IS NOT NULL
+            AND (${p}.sale_starts_at IS NULL OR datetime(${p}.sale_starts_at) <= datetime('now'))
+            AND datetime(${p}.sale_ends_at) > datetime('now'))`;
+    }
+
+    // SQL expression for what a product (and, when `v` is given, its variant) sells for right now
+    static priceSql(p = 'p', v = null) {
+        const listPrice = v ? `COALESCE(${v}.price, ${p}.price)` : `${p}.price`;
+        const salePrice = v
+            ? `CASE WHEN ${v}.price IS NULL OR ${p}.price <= 0 THEN ${p}.sale_price ELSE ROUND(${v}.price * ${p}.sale_price / ${p}.price, 2) END`
+            : `${p}.sale_price`;
+        return `CASE WHEN ${this.activeSql(p)} THEN ${salePrice} ELSE ${listPrice} END`;
+    }
+
+    // SQLite's "YYYY-MM-DD HH:MM:SS" (UTC) as a Date
+    static parseTime(value) {
+        return value ? new Date(String(value).replace(' ', 'T') + 'Z') : null;
+    }
+
+    static isActive(product, now = new Date()) {
+        const startsAt = this.parseTime(product.sale_starts_at);
+        const endsAt = this.parseTime(product.sale_ends_at);
+        return product.sale_price !== null && product.sale_price !== undefined && !!endsAt &&
+            (!startsAt || startsAt <= now) && endsAt > now;
+    }
+
+    // The product's sale has run its course (it still has a sale price until one is set or cleared)
+    static hasEnded(product, now = new Date()) {
+        const endsAt = this.parseTime(product.sale_ends_at);
+        return product.sale_price !== null && product.sale_price !== undefined && !!endsAt && endsAt <= now;
+    }
+
+    // Put the current price on product rows read with p.*: `price` becomes what the product sells
+    // for now, with the list price kept in `original_price` and the end as `sale_ends` (ISO) for
+    // countdowns. Takes a row or an array of rows and returns the same.
+    static apply(products) {
+        for (const product of [].concat(products || [])) {
+            if (this.isActive(product)) {
+                product.on_sale = true;
+                product.original_price = product.price;
+                product.price = product.sale_price;
+                product.sale_ends = this.parseTime(product.sale_ends_at).toISOString();
+            } else {
+                product.on_sale = false;
+                product.original_price = null;
+                product.sale_ends = null;
+            }
+        }
+        return products;
+    }
+
+    // Mark variants with their own price down in line with a product `apply` has already been run on
+    static applyToVariants(product, variants) {
+        for (const variant of variants) {
+            variant.original_price = null;
+            if (product.on_sale && variant.price !== null && product.original_price > 0) {
+                variant.original_price = variant.price;
+                variant.price = Math.round(variant.price * product.sale_price / product.original_price * 100) / 100;
+            }
+        }
+        return variants;
+    }
+
+    // "2026-10-20T09:30" from a datetime-local input (store time) as SQLite UTC; null if invalid
+    static toDbTime(value) {
+        if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value || '')) return null;
+        const date = new Date(`${value}:00${STORE_UTC_OFFSET}`);
+        return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+    }
+
+    // Stored UTC time back as a datetime-local value in store time, for admin forms
+    static toInputTime(value) {
+        const date = this.parseTime(value);
+        if (!date) return '';
+        const [sign, hours, minutes] = STORE_UTC_OFFSET.match(/([+-])(\d{2}):(\d{2})/).slice(1);
+        const offset = (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes));
+        return new Date(date.getTime() + offset * 60000).toISOString().slice(0, 16);
+    }
+
+    // Sale window from a form (sale_starts_at optional, meaning now; sale_ends_at required).
+    // Returns { error } or { startsAt, endsAt } as SQLite UTC times.
+    static parseWindow(body) {
+        const startsAt = body.sale_starts_at ? this.toDbTime(body.sale_starts_at) : null;
+        const endsAt = this.toDbTime(body.sale_ends_at);
+        if ((body.sale_starts_at && !startsAt) || !endsAt) {
+            return { error: 'A sale needs a valid end time (and a valid start time, if given)' };
+        }
+        if (startsAt && endsAt <= startsAt) {
+            return { error: 'A sale must end after it starts' };
+        }
+        if (this.parseTime(endsAt) <= new Date()) {
+            return { error: 'A sale must end in the future' };
+        }
+        return { startsAt, endsAt };
+    }
+
+    // Sale fields from the product form; a blank sale price means no sale.
+    // Returns { error } or { values: [sale_price, sale_starts_at, sale_ends_at] }.
+    static parseProductSale(body, listPrice) {
+        if (body.sale_price === '' || body.sale_price === undefined) {
+            return { values: [null, null, null] };
+        }
+
+        const salePrice = Number(body.sale_price);
+        if (!Number.isFinite(salePrice) || salePrice <= 0 || salePrice >= Number(listPrice)) {
+            return { error: 'Sale price must be more than 0 and less than the regular price' };
+        }
+        const { startsAt, endsAt, error } = this.parseWindow(body);
+        if (error) {
+            return { error };
+        }
+        return { values: [Math.round(salePrice * 100) / 100, startsAt, endsAt] };
+    }
+
+    // Products a brand or category sale covers; a category includes its subcategories
+    static async productIdsFor(db, { brandId = null, categoryId = null }) {
+        if (brandId) {
+            return (await db.all('SELECT id FROM products WHERE brand_id = ?', [brandId])).map(row => row.id);
+        }
+        const rows = await db.all(`
+            WITH RECURSIVE tree(id) AS (
+                SELECT id FROM categories WHERE id = ?
+                UNION
+                SELECT c.id FROM categories c JOIN tree ON c.parent_id = tree.id
+            )
+            SELECT id FROM products WHERE category_id IN (SELECT id FROM tree)
+        `, [categoryId]);
+        return rows.map(row => row.id);
+    }
+
+    // Put every product in a brand or category on sale at `percent` off its list price, replacing
+    // any sale it already had. Returns the number of products changed.
+    static async schedule(db, target, percent, startsAt, endsAt) {
+        const ids = await this.productIdsFor(db, target);
+        if (ids.length === 0) return 0;
+
+        const result = await db.run(`
+            UPDATE products
+            SET sale_price = ROUND(price * (100 - ?) / 100, 2), sale_starts_at = ?, sale_ends_at = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (${ids.map(() => '?').join(', ')})
+        `, [percent, startsAt, endsAt, ...ids]);
+        return result.changes;
+    }
+
+    // End (or call off) the sale on every product in a brand or category
+    static async clear(db, target) {
+        const ids = await this.productIdsFor(db, target);
+        if (ids.length === 0) return 0;
+
+        const result = await db.run(`
+            UPDATE products SET sale_price = NULL, sale_starts_at = NULL, sale_ends_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE sale_price IS NOT NULL AND id IN (${ids.map(() => '?').join(', ')})
+        `, ids);
+        return result.changes;
+    }
+}
+
+module.exports = Sales;
@@ -0,0 +1,137 @@
+// Column weights for bm25(): name, description, brand, category
+const RANK_EXPRESSION = 'bm25(products_fts, 10.0, 2.0, 5.0, 5.0)';
+
+class ProductSearch {
+    // Words seen in the catalogue, used to correct typos ("hodie" -> "hoodie")
+    static vocabulary = null;
+
+    static get rankExpression() {
+        return RANK_EXPRESSION;
+    }
+
+    // Drop the cached vocabulary after products are added, edited or deleted
+    static invalidate() {
+        this.vocabulary = null;
+    }
+
+    static tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+    }
+
+    static async getVocabulary(db) {
+        if (this.vocabulary) return this.vocabulary;
+
+        const rows = await db.all('SELECT name, description, brand, category FROM products');
+        const words = new Set();
+        rows.forEach(row => {
+            [row.name, row.description, row.brand, row.category].forEach(text => {
+                this.tokenize(text).forEach(word => words.add(word));
+            });
+        });
+
+        this.vocabulary = [...words];
+        return this.vocabulary;
+    }
+
+    // Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+    static editDistance(a, b) {
+        const d = [];
+        for (let i = 0; i <= a.length; i++) {
+            d[i] = [i];
+        }
+        for (let j = 0; j <= b.length; j++) {
+            d[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(
+                    d[i - 1][j] + 1,
+                    d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+
+    // Closest catalogue word for a token that matches nothing, or null if it is fine as typed
+    static correctToken(token, vocabulary, prefix) {
+        if (token.length < 4) return null;
+
+        const matches = vocabulary.some(word => prefix ? word.startsWith(token) : word === token);
+        if (matches) return null;
+
+        const maxDistance = token.length >= 7 ? 2 : 1;
+        let best = null;
+        let bestDistance = maxDistance + 1;
+
+        for (const word of vocabulary) {
+            if (Math.abs(word.length - token.length) > maxDistance) continue;
+            const distance = this.editDistance(token, word);
+            if (distance < bestDistance) {
+                best = word;
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    // Build an FTS5 MATCH expression from user input.
+    // With prefix set, the last word matches as a prefix (for type-ahead).
+    // Returns { match, corrected } where corrected is the query after typo fixes, or null.
+    static async buildMatchQuery(db, query, { prefix = false } = {}) {
+        const tokens = this.tokenize(query).slice(0, 10);
+        if (tokens.length === 0) {
+            return { match: null, corrected: null };
+        }
+
+        const vocabulary = await this.getVocabulary(db);
+        const correctedTokens = [];
+
+        const terms = tokens.map((token, index) => {
+            const isPrefix = prefix && index === tokens.length - 1;
+            const correction = this.correctToken(token, vocabulary, isPrefix);
+            correctedTokens.push(correction || token);
+
+            const term = `"${token}"${isPrefix ? '*' : ''}`;
+            return correction ? `(${term} OR "${correction}")` : term;
+        });
+
+        const corrected = correctedTokens.join(' ');
+        return {
+            match: terms.join(' AND '),
+            corrected: corrected !== tokens.join(' ') ? corrected : null
+        };
+    }
+
+    // Ranked search over the whole catalogue
+    static async search(db, query, { prefix = false, limit = 20 } = {}) {
+        const { match, corrected } = await this.buildMatchQuery(db, query, { prefix });
+        if (!match) {
+            return { products: [], corrected: null };
+        }
+
+        const products = await db.all(`
+            SELECT p.*
+            FROM products_fts
+            JOIN products p ON p.id = products_fts.rowid
+            WHERE products_fts MATCH ?
+            ORDER BY ${RANK_EXPRESSION}
+            LIMIT ?
+        `, [match, limit]);
+
+        return { products, corrected };
+    }
+}
+
+module.exports = ProductSearch;
@@ -0,0 +1,154 @@
+const Pincodes = require('./pincodes');
+
+// Delivery charges and times. A zone is a set of PIN code ranges with a rate for the first
+// parcel weight and for every extra step above it; when ranges overlap the narrowest one wins.
+class Shipping {
+    // Weight assumed for products nobody has weighed yet
+    static get defaultWeightGrams() {
+        const grams = parseInt(process.env.SHIPPING_DEFAULT_WEIGHT_GRAMS);
+        return grams > 0 ? grams : 500;
+    }
+
+    // Weight from the product form; blank or invalid means "not weighed"
+    static parseWeight(value) {
+        const grams = parseInt(value);
+        return Number.isInteger(grams) && grams > 0 ? grams : null;
+    }
+
+    static async findZone(db, pincode) {
+        return db.get(`
+            SELECT z.* FROM shipping_zone_ranges r
+            JOIN shipping_zones z ON r.zone_id = z.id
+            WHERE ? BETWEEN r.pincode_from AND r.pincode_to
+            ORDER BY r.pincode_to - r.pincode_from, z.id
+            LIMIT 1
+        `, [parseInt(pincode)]);
+    }
+
+    // Whether we deliver to a PIN code at all. Returns { serviceable, reason, zone }.
+    static async check(db, pincode) {
+        if (!Pincodes.stateFor(pincode)) {
+            return { serviceable: false, reason: 'This is not a valid Indian PIN code', zone: null };
+        }
+
+        const blocked = await db.get(
+            'SELECT * FROM non_serviceable_pincodes WHERE ? BETWEEN pincode_from AND pincode_to',
+            [parseInt(pincode)]
+        );
+        if (blocked) {
+            return { serviceable: false, reason: blocked.reason || 'We do not deliver to this PIN code', zone: null };
+        }
+
+        const zone = await this.findZone(db, pincode);
+        if (!zone) {
+            return { serviceable: false, reason: 'We do not deliver to this PIN code yet', zone: null };
+        }
+        return { serviceable: true, reason: null, zone };
+    }
+
+    // Total weight in grams of cart/order lines ({ product_id, quantity })
+    static async weightOf(db, items) {
+        const ids = [...new Set(items.map(item => item.product_id))];
+        if (ids.length === 0) return 0;
+
+        const products = await db.all(
+            `SELECT id, weight_grams FROM products WHERE id IN (${ids.map(() => '?').join(', ')})`,
+            ids
+        );
+        const weights = new Map(products.map(p => [p.id, p.weight_grams || this.defaultWeightGrams]));
+        return items.reduce((sum, item) => sum + (weights.get(item.product_id) || this.defaultWeightGrams) * item.quantity, 0);
+    }
+
+    // Charge in paise for a parcel to a zone: the base rate covers the first base_weight_grams,
+    // then extra_rate is added for every extra_weight_grams or part of it
+    static rateFor(zone, grams) {
+        const extraSteps = Math.max(0, Math.ceil((grams - zone.base_weight_grams) / zone.extra_weight_grams));
+        return Math.round(zone.base_rate * 100) + extraSteps * Math.round(zone.extra_rate * 100);
+    }
+
+    // Delivery window in working days from today; couriers do not deliver on Sundays
+    static estimate(zone, from = new Date()) {
+        const addWorkingDays = days => {
+            const date = new Date(from);
+            for (let left = days; left > 0;) {
+                date.setDate(date.getDate() + 1);
+                if (date.getDay() !== 0) left--;
+            }
+            return date;
+        };
+        const isoDate = date => [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+            .map(part => String(part).padStart(2, '0')).join('-');
+        const label = date => date.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+
+        const earliest = addWorkingDays(zone.min_days);
+        const latest = addWorkingDays(zone.max_days);
+        return {
+            minDays: zone.min_days,
+            maxDays: zone.max_days,
+            from: isoDate(earliest),
+            to: isoDate(latest),
+            label: zone.min_days === zone.max_days ? label(latest) : `${label(earliest)} - ${label(latest)}`
+        };
+    }
+
+    // Shipping for cart/order lines to a PIN code. `orderValue` (paise) is checked against the
+    // zone's free-shipping threshold. Amounts in the result are in paise; `charge` is 0 when the
+    // PIN code is not serviceable, so callers must check `serviceable` before taking an order.
+    static async quote(db, pincode, items, orderValue) {
+        const { serviceable, reason, zone } = await this.check(db, pincode);
+        if (!serviceable) {
+            return { serviceable, reason, zone: null, weightGrams: 0, charge: 0, freeShippingFrom: null, estimate: null };
+        }
+
+        const weightGrams = await this.weightOf(db, items);
+        const freeShippingFrom = zone.free_shipping_from === null ? null : Math.round(zone.free_shipping_from * 100);
+        const free = freeShippingFrom !== null && orderValue >= freeShippingFrom;
+
+        return {
+            serviceable,
+            reason,
+            zone,
+            weightGrams,
+            charge: free ? 0 : this.rateFor(zone, weightGrams),
+            freeShippingFrom,
+            estimate: this.estimate(zone)
+        };
+    }
+
+    // PIN code ranges from a textarea, one "560001-560099" or single "560001" per line or comma.
+    // Returns { error } or { ranges: [[from, to]] }.
+    static parseRanges(input) {
+        const ranges = [];
+        for (const entry of String(input || '').split(/[\n,]+/).map(s => s.trim()).filter(Boolean)) {
+            const [from, to = from] = entry.split(/\s*-\s*/);
+            if (!Pincodes.isValid(from) || !Pincodes.isValid(to) || parseInt(from) > parseInt(to)) {
+                return { error: `"${entry}" is not a PIN code or a range like 560001-560099` };
+            }
+            ranges.push([parseInt(from), parseInt(to)]);
+        }
+        return { ranges };
+    }
+
+    static async setRanges(db, zoneId, ranges) {
+        await db.run('DELETE FROM shipping_zone_ranges WHERE zone_id = ?', [zoneId]);
+        for (const [from, to] of ranges) {
+            await db.run('INSERT INTO shipping_zone_ranges (zone_id, pincode_from, pincode_to) VALUES (?, ?, ?)', [zoneId, from, to]);
+        }
+    }
+
+    // Zones with their ranges, for the admin page
+    static async listZones(db) {
+        const zones = await db.all('SELECT * FROM shipping_zones ORDER BY name');
+        const ranges = await db.all('SELECT * FROM shipping_zone_ranges ORDER BY pincode_from');
+        for (const zone of zones) {
+            zone.ranges = ranges.filter(r => r.zone_id === zone.id);
+        }
+        return zones;
+    }
+
+    static formatRange(range) {
+        return range.pincode_from === range.pincode_to ? String(range.pincode_from) : `${range.pincode_from}-${range.pincode_to}`;
+    }
+}
+
+module.exports = Shipping;
@@ -0,0 +1,113 @@
+class Taxonomy {
+    // URL-safe slug, e.g. "Under Armour" -> "under-armour"
+    static slugify(text) {
+        return (text || '')
+            .toString()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    // Slug for a category/brand that does not clash with another row of the same table
+    static async uniqueSlug(db, table, text, excludeId = null) {
+        const base = this.slugify(text) || (table === 'brands' ? 'brand' : 'category');
+        let slug = base;
+        let suffix = 2;
+
+        while (await db.get(`SELECT id FROM ${table} WHERE slug = ? AND id IS NOT ?`, [slug, excludeId])) {
+            slug = `${base}-${suffix++}`;
+        }
+        return slug;
+    }
+
+    // All categories depth-first (parents before their children) with a depth for indentation
+    static async getCategoryTree(db) {
+        const categories = await db.all(`
+            SELECT c.*, (SELECT COUNT(*) FROM products p WHERE p.category_id = c.id) as product_count
+            FROM categories c
+            ORDER BY c.name COLLATE NOCASE
+        `);
+
+        const children = new Map();
+        categories.forEach(category => {
+            const key = category.parent_id || null;
+            if (!children.has(key)) children.set(key, []);
+            children.get(key).push(category);
+        });
+
+        const tree = [];
+        const visit = (parentId, depth) => {
+            (children.get(parentId) || []).forEach(category => {
+                tree.push({ ...category, depth });
+                visit(category.id, depth + 1);
+            });
+        };
+        visit(null, 0);
+        return tree;
+    }
+
+    // A category and every category nested below it
+    static async getDescendantIds(db, categoryId) {
+        const rows = await db.all(`
+            WITH RECURSIVE tree(id) AS (
+                SELECT ?
+                UNION
+                SELECT c.id FROM categories c JOIN tree ON c.parent_id = tree.id
+            )
+            SELECT id FROM tree
+        `, [categoryId]);
+        return rows.map(row => row.id);
+    }
+
+    // Root-first chain of categories leading to (and including) the given one
+    static async getBreadcrumbs(db, category) {
+        const trail = [category];
+        let parentId = category.parent_id;
+
+        while (parentId && trail.length < 20) {
+            const parent = await db.get('SELECT * FROM categories WHERE id = ?', [parentId]);
+            if (!parent) break;
+            trail.unshift(parent);
+            parentId = parent.parent_id;
+        }
+        return trail;
+    }
+
+    static async getBrands(db) {
+        return db.all(`
+            SELECT b.*, (SELECT COUNT(*) FROM products p WHERE p.brand_id = b.id) as product_count
+            FROM brands b
+            ORDER BY b.name COLLATE NOCASE
+        `);
+    }
+
+    // Category/brand ids from a form or import, with the names products keep for search and display
+    static async resolveProductRefs(db, categoryId, brandId) {
+        const category = categoryId ? await db.get('SELECT id, name FROM categories WHERE id = ?', [categoryId]) : null;
+        const brand = brandId ? await db.get('SELECT id, name FROM brands WHERE id = ?', [brandId]) : null;
+
+        return {
+            categoryId: category ? category.id : null,
+            category: category ? category.name : null,
+            brandId: brand ? brand.id : null,
+            brand: brand ? brand.name : null
+        };
+    }
+
+    // products.category/brand mirror the referenced names so search, carts and orders read them directly
+    static async syncProductNames(db) {
+        await db.run(`
+            UPDATE products SET category = (SELECT name FROM categories WHERE id = products.category_id)
+            WHERE category_id IS NOT NULL AND category IS NOT (SELECT name FROM categories WHERE id = products.category_id)
+        `);
+        await db.run(`
+            UPDATE products SET brand = (SELECT name FROM brands WHERE id = products.brand_id)
+            WHERE brand_id IS NOT NULL AND brand IS NOT (SELECT name FROM brands WHERE id = products.brand_id)
+        `);
+    }
+}
+
+module.exports = Taxonomy;
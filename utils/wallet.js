@@ -0,0 +1,122 @@
+const Pricing = require('./pricing');
+
+// Store credit. Every change to a customer's balance is a row in wallet_transactions. Credits
+// (goodwill, returns, redeemed gift cards, refunded order payments) keep what is left of them in
+// `remaining` and may expire; spending uses up the credits that expire soonest first, and
+// whatever is left of a credit when it expires is written off with an `expiry` row.
+// Amounts passed in and out are paise; the table stores rupees like every other amount column.
+const METHOD = 'Wallet';
+
+const TYPE_LABELS = {
+    credit: 'Store credit',
+    gift_card: 'Gift card',
+    refund: 'Refund',
+    debit: 'Spent',
+    expiry: 'Expired'
+};
+
+class Wallet {
+    // Payment method recorded on orders paid entirely from the wallet
+    static get method() {
+        return METHOD;
+    }
+
+    static get typeLabels() {
+        return TYPE_LABELS;
+    }
+
+    // Write off what is left of a user's credits that have expired
+    static async expire(db, userId) {
+        const lapsed = await db.all(`
+            SELECT * FROM wallet_transactions
+            WHERE user_id = ? AND remaining > 0 AND expires_at IS NOT NULL AND datetime(expires_at) <= datetime('now')
+        `, [userId]);
+
+        for (const credit of lapsed) {
+            await db.run('UPDATE wallet_transactions SET remaining = 0 WHERE id = ?', [credit.id]);
+            await db.run(
+                "INSERT INTO wallet_transactions (user_id, type, amount, description) VALUES (?, 'expiry', ?, ?)",
+                [userId, -credit.remaining, `${credit.description || TYPE_LABELS[credit.type]} expired`]
+            );
+        }
+    }
+
+    // Spendable balance in paise
+    static async balance(db, userId) {
+        await this.expire(db, userId);
+        const row = await db.get('SELECT SUM(remaining) as balance FROM wallet_transactions WHERE user_id = ? AND remaining > 0', [userId]);
+        return Pricing.toPaise(row && row.balance);
+    }
+
+    static async history(db, userId, { limit = 20 } = {}) {
+        return db.all(`
+            SELECT t.*, o.order_number
+            FROM wallet_transactions t
+            LEFT JOIN orders o ON t.order_id = o.id
+            WHERE t.user_id = ?
+            ORDER BY t.created_at DESC, t.id DESC
+            LIMIT ?
+        `, [userId, limit]);
+    }
+
+    // Add `amount` paise to a wallet. `expiresAt` is a SQLite UTC time, or null for credit that never lapses.
+    static async credit(db, userId, amount, { type = 'credit', description = null, expiresAt = null, orderId = null, giftCardId = null, adminId = null } = {}) {
+        const rupees = Pricing.toRupees(amount);
+        await db.run(`
+            INSERT INTO wallet_transactions (user_id, type, amount, remaining, expires_at, description, order_id, gift_card_id, admin_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [userId, type, rupees, rupees, expiresAt, description, orderId, giftCardId, adminId]);
+    }
+
+    // Spend `amount` paise, using the credits that expire soonest first. Returns false, changing
+    // nothing, when the balance does not cover it.
+    static async debit(db, userId, amount, { description = null, orderId = null, adminId = null } = {}) {
+        if (amount <= 0 || await this.balance(db, userId) < amount) {
+            return false;
+        }
+
+        const credits = await db.all(`
+            SELECT * FROM wallet_transactions
+            WHERE user_id = ? AND remaining > 0
+            ORDER BY expires_at IS NULL, datetime(expires_at), id
+        `, [userId]);
+
+        let left = amount;
+        for (const credit of credits) {
+            if (left === 0) break;
+            const available = Pricing.toPaise(credit.remaining);
+            const used = Math.min(left, available);
+            await db.run('UPDATE wallet_transactions SET remaining = ? WHERE id = ?', [Pricing.toRupees(available - used), credit.id]);
+            left -= used;
+        }
+
+        await db.run(
+            "INSERT INTO wallet_transactions (user_id, type, amount, description, order_id, admin_id) VALUES (?, 'debit', ?, ?, ?, ?)",
+            [userId, -Pricing.toRupees(amount), description, orderId, adminId]
+        );
+        return true;
+    }
+
+    // Give back what an order took from the wallet when it is cancelled or rejected. Safe to call
+    // more than once: only the part not already refunded goes back. Returns the paise refunded.
+    static async refundOrder(db, orderId, description) {
+        const row = await db.get(`
+            SELECT user_id, SUM(amount) as net FROM wallet_transactions
+            WHERE order_id = ? AND type IN ('debit', 'refund')
+            GROUP BY user_id
+        `, [orderId]);
+        const owed = row ? -Pricing.toPaise(row.net) : 0;
+        if (owed <= 0) return 0;
+
+        await this.credit(db, row.user_id, owed, { type: 'refund', description, orderId });
+        return owed;
+    }
+
+    // Amount (rupees) from a form as paise; null unless it is more than 0
+    static parseAmount(value) {
+        const rupees = Number(value);
+        return Number.isFinite(rupees) && rupees > 0 ? Pricing.toPaise(rupees) : null;
+    }
+}
+
+module.exports = Wallet;